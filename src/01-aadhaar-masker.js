@@ -6,44 +6,361 @@
  * karo "X" se. Format mein dashes bhi hone chahiye: XXXX-XXXX-1234
  *
  * Rules:
- *   - Input ek string honi chahiye exactly 12 digits ki (no spaces, no dashes)
+ *   - Input ek string honi chahiye exactly 12 digits ki
+ *   - Log number paste karte hain "2345 6781 2342" ya "2345-6781-2342" jaise,
+ *     kabhi full-width ya Devanagari (२३४५...) digits mein. Pehle normalise
+ *     karo: separators (space, dash) hatao aur Indic/full-width digits ko
+ *     ASCII mein badlo - phir baaki validation chalao
  *   - Pehle 8 digits ko "X" se replace karo
  *   - Last 4 digits as-is rakho
  *   - Output format: "XXXX-XXXX-1234" (dashes after every 4 characters)
  *   - Hint: Use string methods like slice(), repeat(), and length
  *
+ * Doosre identifiers:
+ *   - Virtual ID (VID): 16 digits, last digit Verhoeff check digit. VID ko
+ *     uske apne layout mein mask karo: "XXXX-XXXX-XXXX-1234"
+ *   - Already-masked Aadhaar ("XXXX XXXX 1234", "xxxx-xxxx-1234", "********1234"):
+ *     8 mask characters (X, x, *, •) + 4 digits. Yeh pehle se safe hai, toh
+ *     chosen policy ke format mein hi wapas do - lekin pehle 8 digits toh
+ *     humein pata hi nahi, woh hamesha masked rahenge
+ *   - Already-masked VID ("XXXX XXXX XXXX 1234") bhi isi tarah pass through
+ *
  * Validation:
  *   - Agar input string nahi hai, return "INVALID"
- *   - Agar string ki length exactly 12 nahi hai, return "INVALID"
+ *   - Agar digits ki length 12 (Aadhaar) ya 16 (VID) nahi hai, return "INVALID"
  *   - Agar string mein koi non-digit character hai, return "INVALID"
+ *     (separators ya toh bilkul nahi, ya har 4 digits ke baad ek - aur poore
+ *     number mein ek hi separator: "2345 6781 2342" chalega, "23456 78123 42"
+ *     ya "2345-6781 2342" nahi)
+ *   - Agar digits alag-alag scripts ke mix hain (e.g. "२३४5..."), return "INVALID"
+ *   - UIDAI rule: Aadhaar ka pehla digit 0 ya 1 nahi ho sakta, return "INVALID"
+ *   - Last digit Verhoeff check digit hai - checksum fail ho toh "INVALID"
+ *     (typos aur "000000000000" jaise fake numbers yahin pakde jaate hain)
+ *
+ * Masking policies (options object):
+ *   - options.preset: named policy, default "uidai-default"
+ *       "uidai-default" => XXXX-XXXX-1234 (sirf last 4 dikhao)
+ *       "first-last-4"  => 2345-XXXX-1234 (pehle 4 aur last 4 dikhao)
+ *       "full-redact"   => XXXX-XXXX-XXXX (kuch bhi mat dikhao)
+ *   - Preset ke upar individual fields override kar sakte ho:
+ *       maskChar     - mask character, e.g. "•" (default "X")
+ *       separator    - groups ke beech, e.g. " " ya "" (default "-")
+ *       groupSize    - kitne characters ka ek group (default 4)
+ *       visibleStart - shuru ke kitne digits dikhane hain
+ *       visibleEnd   - end ke kitne digits dikhane hain
+ *   - Unknown preset ya galat override pe RangeError throw hota hai, kyunki
+ *     yeh caller ki galti hai, number ki nahi
+ *
+ * Detailed mode:
+ *   - options.detailed = true pass karo toh string ki jagah object milega:
+ *     { valid, type, masked, reason }
+ *   - type batata hai kya mila: "aadhaar", "vid", "masked-aadhaar", "masked-vid"
+ *     (invalid input pe null)
+ *   - reason null hota hai jab number valid ho, warna inme se ek:
+ *     "NOT_A_STRING", "NON_DIGIT_CHARACTERS", "MIXED_DIGIT_SCRIPTS",
+ *     "INVALID_LENGTH", "INVALID_FIRST_DIGIT", "CHECKSUM_MISMATCH"
  *
- * @param {string} aadhaarNumber - 12-digit Aadhaar number as string
- * @returns {string} Masked Aadhaar in format "XXXX-XXXX-1234" or "INVALID"
+ * @param {string} aadhaarNumber - 12-digit Aadhaar, 16-digit VID, ya masked Aadhaar
+ * @param {{ detailed?: boolean, preset?: string, maskChar?: string,
+ *   separator?: string, groupSize?: number, visibleStart?: number,
+ *   visibleEnd?: number }} [options] - Detailed mode aur masking policy
+ * @returns {string | { valid: boolean, type: string | null, masked: string, reason: string | null }}
+ *   Masked Aadhaar in format "XXXX-XXXX-1234" or "INVALID"
+ *   (detailed mode mein result object)
  *
  * @example
- *   maskAadhaar("123456781234")
- *   // => "XXXX-XXXX-1234"
+ *   maskAadhaar("234567812342")
+ *   // => "XXXX-XXXX-2342"
+ *
+ *   maskAadhaar("२३४५ ६७८१ २३४२")
+ *   // => "XXXX-XXXX-2342"
  *
  *   maskAadhaar("9876")
  *   // => "INVALID"
+ *
+ *   maskAadhaar("234567812342", { preset: "first-last-4", maskChar: "•", separator: " " })
+ *   // => "2345 •••• 2342"
+ *
+ *   maskAadhaar("2345678123456784", { detailed: true })
+ *   // => { valid: true, type: "vid", masked: "XXXX-XXXX-XXXX-6784", reason: null }
+ *
+ *   maskAadhaar("XXXX XXXX 2342", { detailed: true })
+ *   // => { valid: true, type: "masked-aadhaar", masked: "XXXX-XXXX-2342", reason: null }
+ *
+ *   maskAadhaar("234567812343", { detailed: true })
+ *   // => { valid: false, type: null, masked: "INVALID", reason: "CHECKSUM_MISMATCH" }
+ */
+export function maskAadhaar(aadhaarNumber, options = {}) {
+  const { detailed = false, preset = "uidai-default", ...overrides } = options ?? {};
+
+  // 1. Resolve the masking policy first - a bad policy is a caller bug
+  const policy = resolveMaskingPolicy(preset, overrides);
+
+  // 2. Normalise separators and Unicode digits, detect the identifier
+  // type and run every rule for it
+  const { digits, type, reason } = validateAadhaar(aadhaarNumber);
+
+  // 3. Mask only when the number passed every check
+  let masked = "INVALID";
+  if (type === "masked-aadhaar" || type === "masked-vid") {
+    // Only the last 4 digits are known - the rest can never be revealed
+    masked = applyMaskingPolicy(digits, {
+      ...policy,
+      visibleStart: 0,
+      visibleEnd: Math.min(policy.visibleEnd, 4)
+    });
+  } else if (reason === null) {
+    masked = applyMaskingPolicy(digits, policy);
+  }
+
+  // 4. Default mode returns the plain string, detailed mode the full result
+  if (!detailed) {
+    return masked;
+  }
+
+  return { valid: reason === null, type, masked, reason };
+}
+
+/**
+ * Pasted Aadhaar input ko plain ASCII digits mein badalta hai.
+ * Space/dash separators hata deta hai aur Devanagari, doosri Indic scripts
+ * aur full-width digits ko 0-9 mein convert karta hai. Length ya checksum
+ * yahan check nahi hota - woh maskAadhaar ka kaam hai.
+ *
+ * @param {string} input - Raw user input
+ * @returns {string | null} ASCII digit string, ya null agar input garbage hai
+ *
+ * @example
+ *   normalizeAadhaarInput("२३४५-६७८१-२३४२")
+ *   // => "234567812342"
+ *
+ *   normalizeAadhaarInput("2345 67ab 2342")
+ *   // => null
+ */
+export function normalizeAadhaarInput(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const { digits, reason } = normalizeDigits(input);
+  return reason === null ? digits : null;
+}
+
+/**
+ * Verhoeff checksum - UIDAI isi algorithm se Aadhaar ka last digit banata hai.
+ * Ek digit ki galti aur do adjacent digits ki adla-badli dono pakad leta hai.
+ *
+ * @param {string} digits - Digit string jiska last digit check digit hai
+ * @returns {boolean} true agar checksum sahi hai
+ *
+ * @example
+ *   isValidVerhoeff("234567812342")
+ *   // => true
+ */
+export function isValidVerhoeff(digits) {
+  if (typeof digits !== 'string' || !/^\d+$/.test(digits)) {
+    return false;
+  }
+
+  // Walk the digits right-to-left, permuting each by its position and
+  // folding it into the running check value via the dihedral group table
+  const check = digits
+    .split("")
+    .reverse()
+    .reduce((c, digit, i) => VERHOEFF_MULTIPLY[c][VERHOEFF_PERMUTE[i % 8][Number(digit)]], 0);
+
+  return check === 0;
+}
+
+/**
+ * Named masking policies - apps apna masking khud na likhein, yahin se uthayein.
  */
-export function maskAadhaar(aadhaarNumber) {
-  // Your code here
-  // 1. Validation: Must be a string
+export const MASKING_PRESETS = Object.freeze({
+  "uidai-default": Object.freeze({ maskChar: "X", separator: "-", groupSize: 4, visibleStart: 0, visibleEnd: 4 }),
+  "first-last-4": Object.freeze({ maskChar: "X", separator: "-", groupSize: 4, visibleStart: 4, visibleEnd: 4 }),
+  "full-redact": Object.freeze({ maskChar: "X", separator: "-", groupSize: 4, visibleStart: 0, visibleEnd: 0 })
+});
+
+// Multiplication table of the dihedral group D5
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+// Position-dependent permutation table (repeats every 8 positions)
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 0, 3, 9, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// Code point of "0" for every numeral system we accept; 1-9 follow it
+const DIGIT_ZEROS = [
+  0x0030, // ASCII
+  0xFF10, // Full-width
+  0x0966, // Devanagari
+  0x09E6, // Bengali
+  0x0A66, // Gurmukhi
+  0x0AE6, // Gujarati
+  0x0B66, // Odia
+  0x0BE6, // Tamil
+  0x0C66, // Telugu
+  0x0CE6, // Kannada
+  0x0D66  // Malayalam
+];
+
+// Spaces (incl. no-break) and dashes (incl. Unicode hyphens) users paste in
+const SEPARATORS = new Set([" ", "\u00A0", "\u202F", "-", "\u2010", "\u2011", "\u2013"]);
+
+function normalizeDigits(input) {
+  let digits = "";
+  let zero = null;
+  const separators = [];
+
+  for (const char of input.trim()) {
+    if (SEPARATORS.has(char)) {
+      separators.push({ char, at: digits.length });
+      continue;
+    }
+
+    const code = char.codePointAt(0);
+    const charZero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+    if (charZero === undefined) {
+      return { digits: null, reason: "NON_DIGIT_CHARACTERS" };
+    }
+
+    // All digits must come from one numeral system
+    if (zero !== null && charZero !== zero) {
+      return { digits: null, reason: "MIXED_DIGIT_SCRIPTS" };
+    }
+    zero = charZero;
+
+    digits += String(code - charZero);
+  }
+
+  // No separators at all, or one kind of separator after every group of 4
+  const grouped = separators.every(({ char, at }, i) => char === separators[0].char && at === (i + 1) * 4);
+  if (separators.length > 0 && (!grouped || separators.length !== digits.length / 4 - 1)) {
+    return { digits: null, reason: "NON_DIGIT_CHARACTERS" };
+  }
+
+  return { digits, reason: null };
+}
+
+// Mask characters people (and other apps) use on an already-masked Aadhaar;
+// a third masked group makes it a masked VID
+const MASKED_IDENTIFIER =
+  /^[Xx*•●]{4}([ \u00A0\u202F\-\u2010\u2011\u2013]?)[Xx*•●]{4}\1(?<vidGroup>[Xx*•●]{4}\1)?(\p{Nd}{4})$/u;
+
+function validateAadhaar(aadhaarNumber) {
+  const invalid = (reason) => ({ digits: null, type: null, reason });
+
   if (typeof aadhaarNumber !== 'string') {
-    return "INVALID";
+    return invalid("NOT_A_STRING");
   }
 
-  // 2. Validation: Length must be exactly 12 and strictly numeric
-  // Combining length and digit check into one regex for efficiency
-  if (aadhaarNumber.length !== 12 || !/^\d+$/.test(aadhaarNumber)) {
-    return "INVALID";
+  // Already-masked input: keep the visible last 4 behind placeholder zeros
+  const maskedMatch = aadhaarNumber.trim().match(MASKED_IDENTIFIER);
+  if (maskedMatch) {
+    const isVid = maskedMatch.groups.vidGroup !== undefined;
+    const { digits: lastFour, reason } = normalizeDigits(maskedMatch[3]);
+    if (reason !== null) {
+      return invalid(reason);
+    }
+    return {
+      digits: "0".repeat(isVid ? 12 : 8) + lastFour,
+      type: isVid ? "masked-vid" : "masked-aadhaar",
+      reason: null
+    };
   }
 
-  // 3. Extract the last 4 digits
-  const lastFour = aadhaarNumber.slice(-4);
+  const { digits, reason } = normalizeDigits(aadhaarNumber);
+  if (reason !== null) {
+    return invalid(reason);
+  }
+
+  let type;
+  if (digits.length === 12) {
+    type = "aadhaar";
+  } else if (digits.length === 16) {
+    type = "vid";
+  } else {
+    return invalid("INVALID_LENGTH");
+  }
+
+  // UIDAI never issues Aadhaar numbers starting with 0 or 1
+  if (type === "aadhaar" && (digits[0] === "0" || digits[0] === "1")) {
+    return invalid("INVALID_FIRST_DIGIT");
+  }
 
-  // 4. Return the formatted masked string
-  // We use "XXXX-XXXX-" as the prefix per the requirements
-  return `XXXX-XXXX-${lastFour}`;
+  // Both Aadhaar and VID end in a Verhoeff check digit
+  if (!isValidVerhoeff(digits)) {
+    return invalid("CHECKSUM_MISMATCH");
+  }
+
+  return { digits, type, reason: null };
+}
+
+function resolveMaskingPolicy(preset, overrides) {
+  if (!Object.hasOwn(MASKING_PRESETS, preset)) {
+    throw new RangeError(`Unknown masking preset: "${preset}"`);
+  }
+
+  // Only known policy fields can override the preset; undefined means "keep"
+  const policy = { ...MASKING_PRESETS[preset] };
+  for (const key of Object.keys(policy)) {
+    if (overrides[key] !== undefined) {
+      policy[key] = overrides[key];
+    }
+  }
+
+  const { maskChar, separator, groupSize, visibleStart, visibleEnd } = policy;
+  if (typeof maskChar !== 'string' || [...maskChar].length !== 1) {
+    throw new RangeError("maskChar must be a single character");
+  }
+  if (typeof separator !== 'string') {
+    throw new RangeError("separator must be a string");
+  }
+  if (!Number.isInteger(groupSize) || groupSize <= 0) {
+    throw new RangeError("groupSize must be a positive integer");
+  }
+  if (!Number.isInteger(visibleStart) || !Number.isInteger(visibleEnd) ||
+      visibleStart < 0 || visibleEnd < 0) {
+    throw new RangeError("visibleStart and visibleEnd must be non-negative integers");
+  }
+
+  return policy;
+}
+
+function applyMaskingPolicy(digits, policy) {
+  const { maskChar, separator, groupSize, visibleStart, visibleEnd } = policy;
+
+  // Never reveal more digits than the number has, even if start + end overlap
+  const start = Math.min(visibleStart, digits.length);
+  const end = Math.min(visibleEnd, digits.length - start);
+
+  const chars = [
+    ...digits.slice(0, start),
+    ...maskChar.repeat(digits.length - start - end),
+    ...digits.slice(digits.length - end)
+  ];
+
+  // Break into groups of groupSize and glue them with the separator
+  const groups = [];
+  for (let i = 0; i < chars.length; i += groupSize) {
+    groups.push(chars.slice(i, i + groupSize).join(""));
+  }
+  return groups.join(separator);
 }
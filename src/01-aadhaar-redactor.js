@@ -0,0 +1,81 @@
+import { maskAadhaar } from './01-aadhaar-masker.js';
+
+/**
+ * 🕵️ Aadhaar Redactor - Free Text Mein Se Aadhaar Chhupao
+ *
+ * Support team ke chat logs, tickets aur exported CSVs mein log apna poora
+ * Aadhaar number likh dete hain. Ek-ek field mask karna kaafi nahi hai -
+ * poore text mein se Aadhaar numbers dhoondh ke mask karne hain, lekin
+ * phone numbers, PNR aur UPI transaction IDs ko haath nahi lagana.
+ *
+ * Rules:
+ *   - 12 digits dhoondho, 4-4-4 groups mein: "234567812342",
+ *     "2345 6781 2342", "2345-6781-2342", ya Devanagari/full-width digits
+ *   - 16-digit Virtual ID (4-4-4-4) bhi: poora VID ek candidate hai, uske
+ *     pehle 12 digits ko Aadhaar samajh ke aadha mask mat karo
+ *   - Groups ke beech separator same hona chahiye (space ya dash, ya kuch nahi)
+ *   - Har candidate ko maskAadhaar ke rules se guzaro - checksum ya UIDAI
+ *     rules fail hue toh woh Aadhaar nahi hai, as-is chhod do
+ *   - Lambe digit runs ka hissa mat pakdo: 13+ digits, "2345 6781 2342 5678"
+ *     jaise aur groups (same separator), "+91..." phone numbers,
+ *     decimals, aur letters se chipke IDs (e.g. "T2305...") skip karo
+ *   - Agar number ke theek pehle "UTR", "UPI", "Txn", "Ref", "PNR", "Phone",
+ *     "Mobile" jaisa label hai, toh woh Aadhaar nahi hai - skip karo
+ *   - options seedha maskAadhaar ko jaate hain (preset, maskChar, ...);
+ *     options.detailed ignore hota hai - text mein hamesha masked string jaati hai
+ *
+ * Validation:
+ *   - Agar text string nahi hai, return null
+ *
+ * @param {string} text - Free text (chat log, ticket, CSV row, ...)
+ * @param {object} [options] - maskAadhaar masking policy options
+ * @returns {{ text: string, matches: Array<{ start: number, end: number, masked: string }> } | null}
+ *   Redacted text, aur har redaction ka original text mein [start, end) offset
+ *
+ * @example
+ *   redactAadhaarInText("Mera Aadhaar 2345 6781 2342 hai, UTR 234567812342")
+ *   // => { text: "Mera Aadhaar XXXX-XXXX-2342 hai, UTR 234567812342",
+ *   //      matches: [{ start: 13, end: 27, masked: "XXXX-XXXX-2342" }] }
+ */
+export function redactAadhaarInText(text, options = {}) {
+  // 1. Validation: Must be a string
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  // Only the masking policy goes to maskAadhaar; detailed mode would return objects
+  const { detailed, ...policy } = options ?? {};
+  const matches = [];
+
+  // 2. Scan every Aadhaar-shaped candidate and keep only the real ones
+  const redacted = text.replace(AADHAAR_CANDIDATE, (candidate, _separator, start) => {
+    const before = text.slice(Math.max(0, start - LABEL_LOOKBEHIND), start);
+    if (NON_AADHAAR_LABEL.test(before)) {
+      return candidate;
+    }
+
+    const masked = maskAadhaar(candidate, policy);
+    if (masked === "INVALID") {
+      return candidate;
+    }
+
+    // 3. Offsets always refer to the original text
+    matches.push({ start, end: start + candidate.length, masked });
+    return masked;
+  });
+
+  return { text: redacted, matches };
+}
+
+// 4-4-4 (Aadhaar) or 4-4-4-4 (VID) digit groups with one consistent (optional)
+// separator, not glued to letters, other digits, a "+" country code or a
+// decimal point, and not part of a longer run of groups written with the same separator
+const AADHAAR_CANDIDATE =
+  /(?<![\p{L}\p{M}\p{Nd}_+.\/-])\p{Nd}{4}([ \u00A0-]?)(?<!\p{Nd}\1\p{Nd}{4}\1)\p{Nd}{4}\1\p{Nd}{4}(?:\1\p{Nd}{4})?(?![\p{L}\p{M}\p{Nd}_\/-]|\.\p{Nd}|\1\p{Nd})/gu;
+
+// Labels that mark the next digit run as some other kind of identifier
+const NON_AADHAAR_LABEL =
+  /(?<![\p{L}\p{Nd}])(?:utr|upi|txn|transaction|ref|reference|rrn|pnr|phone|mobile|mob|tel|ph)(?:\s*(?:no|number|id))?\.?\s*[:#=-]?\s*$/iu;
+
+// How far back to look for a label before a candidate
+const LABEL_LOOKBEHIND = 24;
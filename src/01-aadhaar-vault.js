@@ -0,0 +1,174 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync } from 'node:crypto';
+import { maskAadhaar, normalizeAadhaarInput } from './01-aadhaar-masker.js';
+
+/**
+ * 🔐 Aadhaar Vault - Token Banao, Number Chhupao
+ *
+ * KYC team ko UI mein masked Aadhaar dikhana hai, lekin baad mein authorised
+ * back-office flow mein asli holder ko identify bhi karna hai. Raw number
+ * memory ya DB mein pada rahe, yeh nahi chalega. Toh number ko ek opaque
+ * token se badlo jo sirf sahi key se wapas khulta hai.
+ *
+ * Token format: "avt1.<a|v>.<last4>.<payload>"
+ *   - "a" = Aadhaar, "v" = VID
+ *   - last4 clear mein hai (UIDAI masking bhi yahi dikhata hai), taaki
+ *     maskFromToken bina key aur bina raw number ke display bana sake
+ *   - payload = base64url(iv + AES-256-GCM ciphertext + auth tag)
+ *   - Header (avt1.a.1234) GCM ka additional data hai - last4 ya type badla
+ *     toh detokenize fail hoga
+ *   - IV number + key se HMAC karke banta hai, isliye same number + same key
+ *     = same token (back-office mein lookup/dedupe ke liye)
+ *
+ * Key:
+ *   - Caller deta hai: string ya Buffer/Uint8Array, kam se kam 16 bytes
+ *   - Usse HKDF-SHA256 se alag encryption aur IV keys nikalti hain
+ *   - Galat key type/length pe TypeError throw hota hai (caller ki galti)
+ */
+
+/**
+ * Aadhaar/VID ko opaque token mein badlo.
+ *
+ * @param {string} aadhaarNumber - Aadhaar ya VID (maskAadhaar jo bhi accept kare)
+ * @param {string | Uint8Array} key - Secret key, min 16 bytes
+ * @returns {string | null} Token, ya null agar number invalid/already masked hai
+ *
+ * @example
+ *   tokenize("2345 6781 2342", secretKey)
+ *   // => "avt1.a.2342.Xk3...."
+ */
+export function tokenize(aadhaarNumber, key) {
+  const { encKey, ivKey } = deriveKeys(key);
+
+  // 1. Only real, fully-validated numbers can be tokenised
+  const { valid, type } = maskAadhaar(aadhaarNumber, { detailed: true });
+  if (!valid || (type !== "aadhaar" && type !== "vid")) {
+    return null;
+  }
+  const digits = normalizeAadhaarInput(aadhaarNumber);
+
+  // 2. Clear header that the ciphertext is bound to
+  const header = `${TOKEN_VERSION}.${type === "vid" ? "v" : "a"}.${digits.slice(-4)}`;
+
+  // 3. Deterministic IV, then encrypt
+  const iv = createHmac("sha256", ivKey).update(`${header}.${digits}`).digest().subarray(0, IV_LENGTH);
+  const cipher = createCipheriv("aes-256-gcm", encKey, iv);
+  cipher.setAAD(Buffer.from(header));
+  const ciphertext = Buffer.concat([cipher.update(digits, "utf8"), cipher.final()]);
+
+  const payload = Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString("base64url");
+  return `${header}.${payload}`;
+}
+
+/**
+ * Token ko wapas raw Aadhaar/VID mein kholo - sirf authorised flow ke liye.
+ *
+ * @param {string} token - tokenize() ka output
+ * @param {string | Uint8Array} key - Wahi key jo tokenize mein di thi
+ * @returns {string | null} ASCII digits, ya null agar token galat/tampered hai
+ *   ya key match nahi karti
+ *
+ * @example
+ *   detokenize(tokenize("2345 6781 2342", secretKey), secretKey)
+ *   // => "234567812342"
+ */
+export function detokenize(token, key) {
+  const { encKey } = deriveKeys(key);
+
+  // 1. Validation: Token must have the right shape
+  const parsed = parseToken(token);
+  if (!parsed) {
+    return null;
+  }
+
+  const { header, kind, lastFour, payload } = parsed;
+  if (payload.length < IV_LENGTH + TAG_LENGTH + 1) {
+    return null;
+  }
+
+  // 2. Decrypt - a wrong key or any tampering makes GCM throw
+  let digits;
+  try {
+    const decipher = createDecipheriv("aes-256-gcm", encKey, payload.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(header));
+    decipher.setAuthTag(payload.subarray(-TAG_LENGTH));
+    digits = Buffer.concat([
+      decipher.update(payload.subarray(IV_LENGTH, -TAG_LENGTH)),
+      decipher.final()
+    ]).toString("utf8");
+  } catch {
+    return null;
+  }
+
+  // 3. Sanity check: decrypted number must agree with its header
+  const expectedLength = kind === "v" ? 16 : 12;
+  if (digits.length !== expectedLength || !digits.endsWith(lastFour)) {
+    return null;
+  }
+
+  return digits;
+}
+
+/**
+ * Token se seedha masked display banao - key ya raw number ki zaroorat nahi.
+ *
+ * @param {string} token - tokenize() ka output
+ * @param {object} [options] - maskAadhaar ke options (preset, maskChar, detailed, ...)
+ * @returns {string | object} maskAadhaar jaisa hi result; galat token pe "INVALID"
+ *   (detailed mode mein reason "INVALID_TOKEN")
+ *
+ * @example
+ *   maskFromToken("avt1.a.2342.Xk3....")
+ *   // => "XXXX-XXXX-2342"
+ */
+export function maskFromToken(token, options = {}) {
+  const parsed = parseToken(token);
+
+  // Same result shape as maskAadhaar, with its own rejection reason
+  if (!parsed) {
+    return options?.detailed
+      ? { valid: false, type: null, masked: "INVALID", reason: "INVALID_TOKEN" }
+      : "INVALID";
+  }
+
+  const hidden = "X".repeat(parsed.kind === "v" ? 12 : 8);
+  return maskAadhaar(`${hidden}${parsed.lastFour}`, options);
+}
+
+const TOKEN_VERSION = "avt1";
+const TOKEN_PATTERN = /^(avt1\.([av])\.(\d{4}))\.([A-Za-z0-9_-]+)$/;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MIN_KEY_LENGTH = 16;
+
+function deriveKeys(key) {
+  let keyBytes;
+  if (typeof key === 'string') {
+    keyBytes = Buffer.from(key, "utf8");
+  } else if (key instanceof Uint8Array) {
+    keyBytes = key;
+  } else {
+    throw new TypeError("Vault key must be a string or a Uint8Array");
+  }
+
+  if (keyBytes.length < MIN_KEY_LENGTH) {
+    throw new TypeError(`Vault key must be at least ${MIN_KEY_LENGTH} bytes`);
+  }
+
+  // Separate subkeys so the IV derivation never reuses the encryption key
+  const derive = (info) => Buffer.from(hkdfSync("sha256", keyBytes, "", info, 32));
+  return { encKey: derive("aadhaar-vault:enc"), ivKey: derive("aadhaar-vault:iv") };
+}
+
+function parseToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const match = token.match(TOKEN_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, header, kind, lastFour, payload] = match;
+  return { header, kind, lastFour, payload: Buffer.from(payload, "base64url") };
+}
@@ -1,3 +1,7 @@
+import { normalizeChaiMenu } from './02-chai-menu-model.js';
+import { applyPricingRules } from './02-chai-menu-pricing.js';
+import { buildMenuView, getMenuRenderer } from './02-chai-menu-renderers.js';
+
 /**
  * ☕ Raju ki Chai Dukaan - Menu Formatter
  *
@@ -14,37 +18,78 @@
  *   - Items jinka naam empty string hai ya string nahi hai, unhe bhi skip karo
  *   - Hint: Use Array.isArray(), filter(), map(), join(), toUpperCase()
  *
+ * Structured menu (categories, variants, veg, sold out):
+ *   - items ki jagah { categories: [...] } bhi de sakte ho - shape aur
+ *     filtering rules ke liye dekho src/02-chai-menu-model.js
+ *   - Har category: "CATEGORY: item | item", categories " || " se join
+ *   - Variants wala item: "MASALA CHAI - CUTTING Rs.10 / FULL Rs.15"
+ *   - Non-veg item ke baad " (NON-VEG)", sold out item ke baad " (SOLD OUT)"
+ *   - Flat array ka output bilkul pehle jaisa hi rehta hai
+ *
+ * Output formats (options.format):
+ *   - "text" (default, upar wala format), "receipt", "html", "markdown",
+ *     "whatsapp" - details src/02-chai-menu-renderers.js mein
+ *   - Saare formats same filtering/validation use karte hain; empty menu
+ *     har format mein "" deta hai
+ *   - Unknown format pe RangeError throw hota hai
+ *
+ * Locale aur bilingual names:
+ *   - options.locale (e.g. "en-IN") => Intl.NumberFormat se "₹15.00",
+ *     Indian grouping "₹1,20,000.00"; options.fractionDigits,
+ *     options.currencySpacing ("₹ 15") aur options.currency bhi milte hain
+ *   - Item pe localName ho toh: "MASALA CHAI (मसाला चाय) - Rs.15"
+ *   - Uppercase sirf case wale scripts pe - Hindi naam waise hi rehte hain
+ *
+ * Time-of-day pricing:
+ *   - options.pricing = { rules: [...], now: Date | "HH:MM" } - active rules
+ *     (percent-off, surcharge, fixed-price, buy-x-get-y) menu pe lagte hain;
+ *     rule shape src/02-chai-menu-pricing.js mein
+ *   - Badla hua price purane kate hue price ke saath dikhta hai:
+ *     "CUTTING CHAI - R̶s̶.̶1̶0̶ Rs.8"
+ *
  * Validation:
- *   - Agar items array nahi hai ya empty hai, return ""
+ *   - Agar items na array hai na structured menu, ya empty hai, return ""
  *
- * @param {Array<{name: string, price: number}>} items - Menu items
+ * @param {Array<{name: string, price: number}> | { categories: Array<object> }} items - Menu items ya structured menu
+ * @param {{ format?: string, width?: number, locale?: string, currency?: string,
+ *   fractionDigits?: number, currencySpacing?: boolean, localNames?: boolean,
+ *   pricing?: { rules: Array<object>, now?: Date | string } }} [options]
+ *   - Output format, renderer aur price/naam options
  * @returns {string} Formatted menu string
  *
  * @example
  *   formatChaiMenu([{ name: "masala chai", price: 15 }, { name: "samosa", price: 12 }])
  *   // => "MASALA CHAI - Rs.15 | SAMOSA - Rs.12"
  *
+ *   formatChaiMenu({ categories: [
+ *     { name: "Chai", items: [{ name: "masala chai", variants: [
+ *       { name: "cutting", price: 10 }, { name: "full", price: 15 }] }] },
+ *     { name: "Snacks", items: [{ name: "samosa", price: 12, soldOut: true }] }
+ *   ] })
+ *   // => "CHAI: MASALA CHAI - CUTTING Rs.10 / FULL Rs.15 || SNACKS: SAMOSA - Rs.12 (SOLD OUT)"
+ *
+ *   formatChaiMenu([{ name: "masala chai", price: 15 }], { format: "receipt" })
+ *   // => "MASALA CHAI................Rs.15"
+ *
  *   formatChaiMenu([])
  *   // => ""
  */
-export function formatChaiMenu(items) {
-  // Your code here
-  // 1. Validation: Check if it's an array and not empty
-  if (!Array.isArray(items) || items.length === 0) {
+export function formatChaiMenu(items, options = {}) {
+  const { format = "text", pricing, ...renderOptions } = options ?? {};
+
+  // 1. Pick the renderer up front - an unknown format is a caller bug
+  const render = getMenuRenderer(format);
+
+  // 2. Normalise flat arrays and structured menus into one shape
+  // (this is also where invalid items, variants and categories get dropped)
+  const menu = normalizeChaiMenu(items);
+  if (!menu || menu.categories.length === 0) {
     return "";
   }
 
-  return items
-    // 2. Filter: Keep only valid items
-    .filter(item => {
-      const isValidName = typeof item.name === 'string' && item.name.length > 0;
-      const isValidPrice = typeof item.price === 'number' && item.price > 0;
-      return isValidName && isValidPrice;
-    })
-    // 3. Map: Transform into the "NAME - Rs.PRICE" format
-    .map(item => {
-      return `${item.name.toUpperCase()} - Rs.${item.price}`;
-    })
-    // 4. Join: Merge everything with " | "
-    .join(" | ");
+  // 3. Apply whichever pricing rules are active at the caller's time
+  const priced = pricing ? applyPricingRules(menu, pricing.rules, pricing.now) : menu;
+
+  // 4. Build display strings once, then let the renderer lay them out
+  return render(buildMenuView(priced, renderOptions), renderOptions);
 }
@@ -0,0 +1,541 @@
+import { normalizeChaiMenu } from './02-chai-menu-model.js';
+
+/**
+ * 📥 Raju ki Chai Dukaan - Menu Import/Export (CSV & JSON)
+ *
+ * Raju ka menu ek spreadsheet mein rehta hai. formatChaiMenu galat rows ko
+ * chupchaap skip kar deta hai - price 0, khaali naam - aur kisi ko pata hi
+ * nahi chalta ki samosa menu se gayab kyun hai. Yeh module menu import
+ * karta hai aur saath mein har row ka validation report deta hai.
+ *
+ * CSV format (header row zaroori, columns kisi bhi order mein, case-insensitive):
+ *   category,name,local_name,variant,price,veg,sold_out
+ *   Chai,masala chai,मसाला चाय,cutting,10,yes,no
+ *   Chai,masala chai,मसाला चाय,full,15,yes,no
+ *   Snacks,samosa,,,12,yes,yes
+ *   - name aur price columns zaroori hain, baaki optional
+ *   - Ek row = ek variant; same category + name ki rows ek item ban jaati hain
+ *   - variant khaali => plain price wala item (tab sirf ek hi row ho sakti hai)
+ *   - veg / sold_out: yes/no/true/false/1/0 ya khaali (default veg, available)
+ *   - Kisi bhi row mein category nahi hai => flat array menu; kuch rows mein
+ *     hai aur kuch mein nahi => bina category wali rows report hoke skip
+ *   - Quotes ("Chai, Kadak") aur quoted newlines RFC 4180 jaise chalte hain
+ *
+ * JSON format: formatChaiMenu jo accept karta hai wahi - flat array ya
+ *   { categories: [...] }
+ *
+ * Report:
+ *   - Har problem ek entry: { line, field, reason }
+ *   - CSV mein line = file ki line number (header line 1 hai; quoted newline
+ *     wali row apni pehli line se count hoti hai)
+ *   - JSON mein line = item ka number, document order mein (1 se shuru;
+ *     bina items wali category bhi ek number leti hai)
+ *   - field = column/property ka naam, ya null agar poori row ki problem hai
+ *   - Jis row mein error hai woh menu mein nahi aati; "Differs from line N"
+ *     wali entries sirf warning hain, row rehti hai
+ *
+ * Export:
+ *   - exportMenuToCsv / exportMenuToJson - pehle normalizeChaiMenu (toh invalid
+ *     items export nahi hote), phir serialize. import(export(menu)) wahi menu
+ *     deta hai.
+ *   - Export sirf wahi likhta hai jo import accept karta hai: naam trim hote
+ *     hain (import bhi trim karta hai), aur CSV price hamesha plain decimal
+ *     mein (1e-7 nahi, 0.0000001)
+ *   - Jo menu import mein wapas same nahi aa sakta - ek category mein same
+ *     naam ke do items, same naam ke variants/categories, ya sirf spaces wala
+ *     naam - uspe RangeError, chupchaap row gayab nahi hoti
+ */
+
+const CSV_COLUMNS = ["category", "name", "local_name", "variant", "price", "veg", "sold_out"];
+const REQUIRED_COLUMNS = ["name", "price"];
+
+/**
+ * CSV text se menu import karo.
+ *
+ * @param {string} csvText - CSV file ka content
+ * @returns {{ menu: Array<object> | { categories: Array<object> } | null,
+ *   report: Array<{ line: number | null, field: string | null, reason: string }> } | null}
+ *   menu formatChaiMenu ke input shape mein; null agar input string nahi hai
+ *
+ * @example
+ *   importMenuFromCsv("name,price\nchai,10\npani,0")
+ *   // => { menu: [{ name: "chai", price: 10, veg: true, soldOut: false }],
+ *   //      report: [{ line: 3, field: "price", reason: "Price must be greater than 0" }] }
+ */
+export function importMenuFromCsv(csvText) {
+  if (typeof csvText !== 'string') {
+    return null;
+  }
+
+  // 1. Split into records, each tagged with the line it starts on
+  const { records, error } = parseCsv(csvText.replace(/^\uFEFF/, ""));
+  if (error) {
+    return { menu: null, report: [error] };
+  }
+  if (records.length === 0) {
+    return { menu: null, report: [{ line: null, field: null, reason: "File is empty" }] };
+  }
+
+  // 2. Header: required columns present, nothing unknown, nothing twice
+  const [header, ...body] = records;
+  const columns = header.fields.map(column => column.trim().toLowerCase());
+  const headerIssues = [
+    ...REQUIRED_COLUMNS
+      .filter(column => !columns.includes(column))
+      .map(column => ({ line: header.line, field: column, reason: "Missing required column" })),
+    ...columns
+      .filter(column => !CSV_COLUMNS.includes(column))
+      .map(column => ({ line: header.line, field: column, reason: "Unknown column" })),
+    ...columns
+      .filter((column, i) => columns.indexOf(column) !== i)
+      .map(column => ({ line: header.line, field: column, reason: "Duplicate column" }))
+  ];
+  if (headerIssues.length > 0) {
+    return { menu: null, report: headerIssues };
+  }
+
+  // 3. Turn every record into a raw row, reporting column-count mismatches
+  const report = [];
+  const rows = [];
+  body.forEach(record => {
+    if (record.fields.length !== columns.length) {
+      report.push({
+        line: record.line,
+        field: null,
+        reason: `Expected ${columns.length} columns, got ${record.fields.length}`
+      });
+      return;
+    }
+
+    const value = (column) => {
+      const i = columns.indexOf(column);
+      return i === -1 ? "" : record.fields[i];
+    };
+    rows.push({
+      line: record.line,
+      category: value("category").trim(),
+      name: value("name").trim(),
+      localName: value("local_name").trim(),
+      variant: value("variant").trim(),
+      price: value("price"),
+      veg: value("veg"),
+      soldOut: value("sold_out")
+    });
+  });
+
+  // 4. Shared validation and grouping
+  const built = buildMenuFromRows(rows, { veg: "veg", soldOut: "sold_out", localName: "local_name" });
+  return { menu: built.menu, report: [...report, ...built.report].sort(byLine) };
+}
+
+/**
+ * JSON text se menu import karo - same validation, same report.
+ *
+ * @param {string} jsonText - JSON file ka content
+ * @returns {{ menu: Array<object> | { categories: Array<object> } | null,
+ *   report: Array<{ line: number | null, field: string | null, reason: string }> } | null}
+ *
+ * @example
+ *   importMenuFromJson('[{ "name": "chai", "price": 10 }, { "name": "", "price": 5 }]')
+ *   // => { menu: [{ name: "chai", price: 10, veg: true, soldOut: false }],
+ *   //      report: [{ line: 2, field: "name", reason: "Name is empty" }] }
+ */
+export function importMenuFromJson(jsonText) {
+  if (typeof jsonText !== 'string') {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(jsonText);
+  } catch (err) {
+    return { menu: null, report: [{ line: null, field: null, reason: `Invalid JSON: ${err.message}` }] };
+  }
+
+  const isStructured = data && typeof data === 'object' && !Array.isArray(data);
+  if (!Array.isArray(data) && !(isStructured && Array.isArray(data.categories))) {
+    return {
+      menu: null,
+      report: [{ line: null, field: null, reason: "Expected an array of items or { categories: [...] }" }]
+    };
+  }
+
+  // Flatten to one entry per item, remembering its category
+  const entries = isStructured
+    ? data.categories.flatMap(category => {
+      if (!category || typeof category !== 'object' || !Array.isArray(category.items)) {
+        return [{ category: "", item: null, reason: "Category has no items array" }];
+      }
+      const name = typeof category.name === 'string' ? category.name.trim() : "";
+      return category.items.map(item => ({ category: name, item }));
+    })
+    : data.map(item => ({ category: "", item }));
+
+  const report = [];
+  const rows = [];
+  entries.forEach(({ category, item, reason }, index) => {
+    const line = index + 1;
+    if (reason) {
+      report.push({ line, field: "items", reason });
+      return;
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      report.push({ line, field: null, reason: "Item is not an object" });
+      return;
+    }
+
+    const shared = {
+      line,
+      category,
+      name: typeof item.name === 'string' ? item.name.trim() : item.name,
+      localName: item.localName ?? "",
+      veg: item.veg ?? "",
+      soldOut: item.soldOut ?? ""
+    };
+
+    // Every variant becomes its own row, just like in the CSV
+    if (Array.isArray(item.variants)) {
+      if (item.variants.length === 0) {
+        report.push({ line, field: "variants", reason: "Item has no variants" });
+      }
+      item.variants.forEach(variant => rows.push({
+        ...shared,
+        variant: variant && typeof variant.name === 'string' ? variant.name.trim() : "",
+        variantMissing: !variant || typeof variant.name !== 'string' || variant.name.trim() === "",
+        price: variant?.price
+      }));
+      return;
+    }
+    rows.push({ ...shared, variant: "", price: item.price });
+  });
+
+  const built = buildMenuFromRows(rows, { veg: "veg", soldOut: "soldOut", localName: "localName" });
+  return { menu: built.menu, report: [...report, ...built.report].sort(byLine) };
+}
+
+/**
+ * Menu ko CSV mein export karo (import wale hi columns).
+ *
+ * @param {Array<object> | { categories: Array<object> }} menu - Koi bhi supported menu shape
+ * @returns {string} CSV text (header + ek row per variant), ya "" agar menu invalid hai
+ * @throws {RangeError} Agar menu import mein wapas same nahi aa sakta
+ */
+export function exportMenuToCsv(menu) {
+  const normalized = exportableMenu(menu);
+  if (!normalized) {
+    return "";
+  }
+
+  const rows = normalized.categories.flatMap(category =>
+    category.items.flatMap(item =>
+      item.variants.map(variant => [
+        category.name ?? "",
+        item.name,
+        item.localName ?? "",
+        variant.name ?? "",
+        toPlainNumber(variant.price),
+        item.veg ? "yes" : "no",
+        item.soldOut ? "yes" : "no"
+      ])
+    )
+  );
+
+  return [CSV_COLUMNS, ...rows]
+    .map(fields => fields.map(quoteCsvField).join(","))
+    .join("\n");
+}
+
+/**
+ * Menu ko JSON mein export karo (formatChaiMenu ka input shape).
+ *
+ * @param {Array<object> | { categories: Array<object> }} menu - Koi bhi supported menu shape
+ * @returns {string} Pretty-printed JSON, ya "" agar menu invalid hai
+ * @throws {RangeError} Agar menu import mein wapas same nahi aa sakta
+ */
+export function exportMenuToJson(menu) {
+  const normalized = exportableMenu(menu);
+  if (!normalized) {
+    return "";
+  }
+  return JSON.stringify(toInputShape(normalized), null, 2);
+}
+
+// Normalised menu with names trimmed the way import trims them; anything
+// import would merge or reject is a RangeError instead of a silently lost row
+function exportableMenu(menu) {
+  const normalized = normalizeChaiMenu(menu);
+  if (!normalized) {
+    return null;
+  }
+
+  const problems = [];
+  const trimName = (name, what) => {
+    if (name === null) {
+      return null;
+    }
+    const trimmed = name.trim();
+    if (trimmed === "") {
+      problems.push(`${what} name is blank`);
+    }
+    return trimmed;
+  };
+  const checkUnique = (names, what) => names
+    .filter((name, i) => names.indexOf(name) !== i)
+    .forEach(name => problems.push(`duplicate ${what} "${name}"`));
+
+  const categories = normalized.categories.map(category => {
+    const items = category.items.map(item => {
+      const variants = item.variants.map(variant => ({ ...variant, name: trimName(variant.name, "Variant") }));
+      checkUnique(variants.map(variant => variant.name), `variant in "${item.name.trim()}"`);
+      return {
+        ...item,
+        name: trimName(item.name, "Item"),
+        localName: item.localName === null || item.localName.trim() === "" ? null : item.localName.trim(),
+        variants
+      };
+    });
+    checkUnique(items.map(item => item.name), "item");
+    return { name: trimName(category.name, "Category"), items };
+  });
+  checkUnique(categories.map(category => category.name), "category");
+
+  if (problems.length > 0) {
+    throw new RangeError(`Menu cannot be exported without losing data: ${problems.join("; ")}`);
+  }
+  return { categories };
+}
+
+// Prices as plain decimals: parsePrice (and people) do not read "1e-7"
+function toPlainNumber(value) {
+  const [mantissa, exponent] = String(value).split("e");
+  if (exponent === undefined) {
+    return mantissa;
+  }
+  const [whole, fraction = ""] = mantissa.split(".");
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  if (point <= 0) {
+    return `0.${"0".repeat(-point)}${digits}`;
+  }
+  return point >= digits.length
+    ? digits + "0".repeat(point - digits.length)
+    : `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+function byLine(a, b) {
+  return (a.line ?? 0) - (b.line ?? 0);
+}
+
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let quotedAt = 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    // A line with nothing on it is not a record
+    if (!(fields.length === 1 && fields[0].trim() === "")) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.trim() === "") {
+      inQuotes = true;
+      quotedAt = line;
+      field = "";
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { records, error: { line: quotedAt, field: null, reason: "Unclosed quote" } };
+  }
+  endRecord();
+  return { records, error: null };
+}
+
+function quoteCsvField(value) {
+  return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// yes/no style flag; "" means "use the default"
+function parseFlag(value, fallback) {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value !== 'string') return undefined;
+
+  const text = value.trim().toLowerCase();
+  if (text === "") return fallback;
+  if (["yes", "y", "true", "1"].includes(text)) return true;
+  if (["no", "n", "false", "0"].includes(text)) return false;
+  return undefined;
+}
+
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+    return Number(value);
+  }
+  return NaN;
+}
+
+function validateRow(row, fieldNames) {
+  const issues = [];
+  const issue = (field, reason) => issues.push({ line: row.line, field, reason });
+
+  if (typeof row.name !== 'string' || row.name === "") {
+    issue("name", typeof row.name === 'string' || row.name === undefined ? "Name is empty" : "Name is not a string");
+  }
+
+  const price = parsePrice(row.price);
+  if (row.price === undefined || row.price === "") {
+    issue("price", "Price is missing");
+  } else if (!Number.isFinite(price)) {
+    issue("price", "Price is not a number");
+  } else if (price <= 0) {
+    issue("price", "Price must be greater than 0");
+  }
+
+  if (row.variantMissing) {
+    issue("variant", "Variant name is empty");
+  }
+
+  const veg = parseFlag(row.veg, true);
+  if (veg === undefined) {
+    issue(fieldNames.veg, "Expected yes or no");
+  }
+  const soldOut = parseFlag(row.soldOut, false);
+  if (soldOut === undefined) {
+    issue(fieldNames.soldOut, "Expected yes or no");
+  }
+
+  if (typeof row.localName !== 'string') {
+    issue(fieldNames.localName, "Local name is not a string");
+  }
+
+  return { issues, price, veg, soldOut };
+}
+
+function buildMenuFromRows(rows, fieldNames) {
+  const report = [];
+  const hasCategories = rows.some(row => row.category !== "");
+  const categories = new Map();
+
+  rows.forEach(row => {
+    const { issues, price, veg, soldOut } = validateRow(row, fieldNames);
+    if (hasCategories && row.category === "") {
+      issues.push({ line: row.line, field: "category", reason: "Category is empty" });
+    }
+    if (issues.length > 0) {
+      report.push(...issues);
+      return;
+    }
+
+    if (!categories.has(row.category)) {
+      categories.set(row.category, new Map());
+    }
+    const items = categories.get(row.category);
+    const localName = row.localName.trim();
+
+    // First row of an item fixes its item-level fields
+    if (!items.has(row.name)) {
+      items.set(row.name, { line: row.line, name: row.name, localName, veg, soldOut, variants: [] });
+    }
+    const item = items.get(row.name);
+
+    const differs = [
+      [fieldNames.localName, item.localName !== localName],
+      [fieldNames.veg, item.veg !== veg],
+      [fieldNames.soldOut, item.soldOut !== soldOut]
+    ];
+    differs
+      .filter(([, isDifferent]) => isDifferent)
+      .forEach(([field]) => report.push({
+        line: row.line,
+        field,
+        reason: `Differs from line ${item.line}; first value kept`
+      }));
+
+    // An item is either one plain price or a set of distinctly named variants
+    const variantName = row.variant === "" ? null : row.variant;
+    if (item.variants.length > 0 && (variantName === null || item.variants[0].name === null)) {
+      report.push({ line: row.line, field: "variant", reason: "Item with several rows needs a variant name on each" });
+      return;
+    }
+    if (item.variants.some(variant => variant.name === variantName)) {
+      report.push({ line: row.line, field: "variant", reason: "Duplicate variant" });
+      return;
+    }
+    item.variants.push({ name: variantName, price });
+  });
+
+  const canonical = {
+    categories: [...categories].map(([name, items]) => ({
+      name: hasCategories ? name : null,
+      items: [...items.values()].map(({ line, localName, ...item }) => ({
+        ...item,
+        localName: localName === "" ? null : localName
+      }))
+    }))
+  };
+
+  return { menu: toInputShape(canonical), report };
+}
+
+// Canonical model => the shape formatChaiMenu accepts (and the JSON export writes)
+function toInputShape(menu) {
+  const toItem = (item) => ({
+    name: item.name,
+    ...(item.localName === null ? {} : { localName: item.localName }),
+    ...(item.variants.length === 1 && item.variants[0].name === null
+      ? { price: item.variants[0].price }
+      : { variants: item.variants.map(({ name, price }) => ({ name, price })) }),
+    veg: item.veg,
+    soldOut: item.soldOut
+  });
+
+  const [first] = menu.categories;
+  if (menu.categories.length === 0 || (menu.categories.length === 1 && first.name === null)) {
+    return first ? first.items.map(toItem) : [];
+  }
+
+  return {
+    categories: menu.categories.map(category => ({
+      name: category.name,
+      items: category.items.map(toItem)
+    }))
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * 📋 Raju ki Chai Dukaan - Menu Data Model
+ *
+ * Raju ka asli menu flat list nahi hai. Categories hain (Chai, Snacks,
+ * Combos), chai ke size variants hain (cutting/full), kuch items non-veg
+ * hain, aur kuch din samose khatam ho jaate hain. Yeh module har tarah ke
+ * input ko ek hi canonical shape mein badalta hai, taaki formatter aur
+ * baaki tools ko sirf ek shape samajhna pade.
+ *
+ * Input shapes:
+ *   - Flat array (purana format): [{ name: "masala chai", price: 15 }, ...]
+ *     => ek hi category banti hai jiska name null hai
+ *   - Structured menu:
+ *     {
+ *       categories: [
+ *         { name: "Chai", items: [
+ *           { name: "masala chai", variants: [
+ *               { name: "cutting", price: 10 }, { name: "full", price: 15 }
+ *             ] },
+ *           { name: "samosa", price: 12, veg: true, soldOut: true }
+ *         ] }
+ *       ]
+ *     }
+ *
+ * Item fields:
+ *   - name: non-empty string (warna item skip)
+ *   - price: positive number - ya phir variants: [{ name, price }]
+ *     (price wala item ek unnamed variant ban jaata hai)
+ *   - localName: optional doosri language ka naam, e.g. "मसाला चाय"
+ *     (non-empty string nahi hai toh null)
+ *   - veg: boolean, default true
+ *   - soldOut: boolean, default false
+ *
+ * Filtering rules (formatChaiMenu wale hi):
+ *   - Item/variant jiska price 0, negative ya number nahi hai => skip
+ *   - Variant ka name non-empty string hona chahiye
+ *   - Item jiska naam empty ya non-string hai => skip
+ *   - Item jiske saare variants skip ho gaye => skip
+ *   - Category jiska naam empty/non-string hai ya koi valid item nahi => skip
+ *
+ * Canonical output:
+ *   { categories: [{ name: string | null, items: [
+ *       { name, localName, veg, soldOut, variants: [{ name: string | null, price }] }
+ *   ] }] }
+ *
+ * @param {Array<object> | { categories: Array<object> }} input - Menu in any supported shape
+ * @returns {{ categories: Array<object> } | null} Canonical menu, ya null agar
+ *   input na array hai na structured menu
+ *
+ * @example
+ *   normalizeChaiMenu([{ name: "chai", price: 10 }, { name: "", price: 5 }])
+ *   // => { categories: [{ name: null, items: [
+ *   //      { name: "chai", localName: null, veg: true, soldOut: false,
+ *   //        variants: [{ name: null, price: 10 }] }
+ *   //    ] }] }
+ */
+export function normalizeChaiMenu(input) {
+  // 1. Flat array: the original format, one unnamed category
+  if (Array.isArray(input)) {
+    const items = normalizeItems(input);
+    return { categories: items.length > 0 ? [{ name: null, items }] : [] };
+  }
+
+  // 2. Structured menu: must carry a categories array
+  if (!input || typeof input !== 'object' || !Array.isArray(input.categories)) {
+    return null;
+  }
+
+  const categories = input.categories
+    .filter(category => category && typeof category === 'object' && isNonEmptyString(category.name))
+    .map(category => ({
+      name: category.name,
+      items: normalizeItems(Array.isArray(category.items) ? category.items : [])
+    }))
+    .filter(category => category.items.length > 0);
+
+  return { categories };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isValidPrice(price) {
+  return typeof price === 'number' && price > 0;
+}
+
+function normalizeItems(items) {
+  return items
+    .filter(item => item && typeof item === 'object' && isNonEmptyString(item.name))
+    .map(item => ({
+      name: item.name,
+      localName: isNonEmptyString(item.localName) ? item.localName : null,
+      veg: item.veg !== false,
+      soldOut: item.soldOut === true,
+      variants: normalizeVariants(item)
+    }))
+    .filter(item => item.variants.length > 0);
+}
+
+function normalizeVariants(item) {
+  // A plain price is just a single variant without a name
+  if (!Array.isArray(item.variants)) {
+    return isValidPrice(item.price) ? [{ name: null, price: item.price }] : [];
+  }
+
+  return item.variants
+    .filter(variant => variant && isNonEmptyString(variant.name) && isValidPrice(variant.price))
+    .map(variant => ({ name: variant.name, price: variant.price }));
+}
@@ -0,0 +1,179 @@
+/**
+ * ⏰ Raju ki Chai Dukaan - Time-of-Day Pricing Rules
+ *
+ * Subah 6 se 10 baje tak "morning cutting chai" sasti milti hai, raat 11
+ * ke baad thoda extra lagta hai, aur shaam ko samosa pe "buy 2 get 1"
+ * chalta hai. Caller abhi ka time deta hai, aur jo rules us waqt active
+ * hain woh menu pe lag jaate hain.
+ *
+ * Rule shape:
+ *   {
+ *     type: "percent-off" | "surcharge" | "fixed-price" | "buy-x-get-y",
+ *     value: 20,              // percent-off/surcharge: percent, fixed-price: naya price
+ *     buy: 2, get: 1,         // sirf buy-x-get-y ke liye
+ *     from: "06:00", to: "10:00",   // optional window, [from, to) - "23:00" se
+ *                                   // "02:00" jaisi midnight-cross window bhi chalti hai;
+ *                                   // from === to allowed nahi (poore din ke liye dono chhod do)
+ *     items: ["cutting chai"],      // optional filters (case-insensitive);
+ *     categories: ["Chai"],         // na do toh rule sab pe lagta hai
+ *     variants: ["cutting"]
+ *   }
+ *
+ * Rules:
+ *   - Har variant pe pehla matching price rule (percent-off, surcharge,
+ *     fixed-price) lagta hai - list ka order hi priority hai
+ *   - buy-x-get-y price nahi badalta, item pe "BUY 2 GET 1" offer tag lagata hai
+ *     (variants filter ho toh sirf tab jab item ka koi variant match kare)
+ *   - Effective price 2 decimals tak round hota hai, lekin kabhi 0.01 se kam
+ *     nahi (99.6% off pe bhi item free nahi hota); fixed-price original se
+ *     zyada ho sakta hai (late-night rate)
+ *   - Price badla toh variant pe originalPrice set hota hai, taaki renderer
+ *     purana price kaat ke dikha sake
+ *   - Galat rule (unknown type, galat time, from === to, bad value, percent-off
+ *     100 ya zyada, items/categories/variants strings ka array nahi) pe RangeError
+ *     throw hota hai - yeh caller ki galti hai
+ *
+ * @param {{ categories: Array<object> }} menu - normalizeChaiMenu() ka output
+ * @param {Array<object>} rules - Pricing rules
+ * @param {Date | string} [now] - Abhi ka time: Date (local time) ya "HH:MM"
+ * @returns {{ categories: Array<object> }} Naya menu; variants pe
+ *   originalPrice (number | null), items pe offers (string[])
+ *
+ * @example
+ *   applyPricingRules(menu, [
+ *     { type: "percent-off", value: 20, from: "06:00", to: "10:00", items: ["cutting chai"] }
+ *   ], "07:30")
+ *   // cutting chai: { price: 8, originalPrice: 10 }
+ */
+export function applyPricingRules(menu, rules, now = new Date()) {
+  // 1. Validate every rule up front, even the ones not active right now
+  if (!Array.isArray(rules)) {
+    throw new RangeError("Pricing rules must be an array");
+  }
+  rules.forEach(validateRule);
+
+  // 2. Keep only the rules whose time window covers "now"
+  const minute = toMinuteOfDay(now);
+  const active = rules.filter(rule => isActiveAt(rule, minute));
+
+  // 3. Apply them item by item
+  return {
+    categories: menu.categories.map(category => ({
+      ...category,
+      items: category.items.map(item => {
+        const matching = active.filter(rule => matchesItem(rule, category, item));
+
+        const offers = matching
+          .filter(rule => rule.type === "buy-x-get-y" && item.variants.some(v => matchesVariant(rule, v)))
+          .map(rule => `BUY ${rule.buy} GET ${rule.get}`);
+
+        const variants = item.variants.map(variant => {
+          const rule = matching.find(r => r.type !== "buy-x-get-y" && matchesVariant(r, variant));
+          if (!rule) {
+            return { ...variant, originalPrice: null };
+          }
+
+          const price = effectivePrice(rule, variant.price);
+          return { ...variant, price, originalPrice: price === variant.price ? null : variant.price };
+        });
+
+        return { ...item, offers: [...new Set(offers)], variants };
+      })
+    }))
+  };
+}
+
+const RULE_TYPES = ["percent-off", "surcharge", "fixed-price", "buy-x-get-y"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+    throw new RangeError(`Unknown pricing rule type: "${rule?.type}"`);
+  }
+
+  if (rule.type === "buy-x-get-y") {
+    if (!Number.isInteger(rule.buy) || rule.buy <= 0 || !Number.isInteger(rule.get) || rule.get <= 0) {
+      throw new RangeError("buy-x-get-y needs positive integer buy and get");
+    }
+  } else if (typeof rule.value !== 'number' || !Number.isFinite(rule.value) || rule.value <= 0) {
+    throw new RangeError(`${rule.type} needs a positive value`);
+  } else if (rule.type === "percent-off" && rule.value >= 100) {
+    // 100% off would price the item at 0, and 0-priced items leave the menu
+    throw new RangeError("percent-off must be less than 100");
+  }
+
+  // Filters are lists of names
+  ["items", "categories", "variants"].forEach(filter => {
+    const list = rule[filter];
+    if (list !== undefined && (!Array.isArray(list) || !list.every(entry => typeof entry === 'string'))) {
+      throw new RangeError(`Pricing rule ${filter} must be an array of strings`);
+    }
+  });
+
+  // A window needs both ends; leaving both out means all day
+  if ((rule.from === undefined) !== (rule.to === undefined)) {
+    throw new RangeError("Pricing rule needs both from and to, or neither");
+  }
+  [rule.from, rule.to].forEach(time => {
+    if (time !== undefined && !TIME_PATTERN.test(time)) {
+      throw new RangeError(`Invalid time "${time}", expected HH:MM`);
+    }
+  });
+  // [from, from) is empty, not all day
+  if (rule.from !== undefined && rule.from === rule.to) {
+    throw new RangeError(`Pricing rule window ${rule.from}-${rule.to} is empty; leave out from and to for all day`);
+  }
+}
+
+function toMinuteOfDay(now) {
+  if (now instanceof Date && !Number.isNaN(now.getTime())) {
+    return now.getHours() * 60 + now.getMinutes();
+  }
+  if (typeof now === 'string' && TIME_PATTERN.test(now)) {
+    const [hours, minutes] = now.split(":").map(Number);
+    return hours * 60 + minutes;
+  }
+  throw new RangeError("now must be a valid Date or an HH:MM string");
+}
+
+function isActiveAt(rule, minute) {
+  if (rule.from === undefined) {
+    return true;
+  }
+
+  const from = toMinuteOfDay(rule.from);
+  const to = toMinuteOfDay(rule.to);
+
+  // Windows like 23:00-02:00 wrap past midnight
+  return from <= to
+    ? minute >= from && minute < to
+    : minute >= from || minute < to;
+}
+
+function includesName(list, name) {
+  return list === undefined || list.some(entry => entry.toLowerCase() === name.toLowerCase());
+}
+
+function matchesItem(rule, category, item) {
+  const categoryMatches = rule.categories === undefined ||
+    (category.name !== null && includesName(rule.categories, category.name));
+  return categoryMatches && includesName(rule.items, item.name);
+}
+
+function matchesVariant(rule, variant) {
+  return rule.variants === undefined ||
+    (variant.name !== null && includesName(rule.variants, variant.name));
+}
+
+function effectivePrice(rule, price) {
+  let next = price;
+  if (rule.type === "percent-off") {
+    next = price * (100 - rule.value) / 100;
+  } else if (rule.type === "surcharge") {
+    next = price * (100 + rule.value) / 100;
+  } else if (rule.type === "fixed-price") {
+    next = rule.value;
+  }
+  // A deep discount never rounds an item down to free - 1 paisa is the floor
+  return Math.max(Math.round(next * 100) / 100, 0.01);
+}
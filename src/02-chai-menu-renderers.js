@@ -0,0 +1,326 @@
+/**
+ * 🖨️ Raju ki Chai Dukaan - Menu Renderers
+ *
+ * Ek hi menu teen jagah jaata hai: counter ka 32-column thermal printer,
+ * website, aur WhatsApp broadcast. Har jagah ka format alag hai, lekin
+ * filtering/validation ek hi honi chahiye. Isliye:
+ *
+ *   1. normalizeChaiMenu() menu ko canonical shape mein laata hai (filtering)
+ *   2. buildMenuView() usse display-ready strings banata hai (naam, price, tags)
+ *   3. Renderer sirf layout karta hai: (view, options) => string
+ *
+ * Built-in renderers:
+ *   - "text"     => "CHAI: MASALA CHAI - Rs.15 | SAMOSA - Rs.12" (default)
+ *   - "receipt"  => fixed-width text, dot leaders, right-aligned prices
+ *                   (options.width, default 32); jo price line mein na aaye
+ *                   woh naam ke neeche apni line pe
+ *   - "html"     => <section>/<ul> markup, saara text HTML-escaped
+ *   - "markdown" => "## CHAI" headings aur "- **ITEM** — price" list
+ *   - "whatsapp" => *bold* categories aur _italic_ tags
+ *
+ * Prices aur naam (buildMenuView options, formatChaiMenu se aate hain):
+ *   - Default price "Rs.15" hai. options.locale do (e.g. "en-IN") toh
+ *     Intl.NumberFormat currency format milta hai: "₹15.00", "₹1,20,000.00"
+ *   - options.currency (default "INR"), options.fractionDigits (e.g. 0 => "₹15"),
+ *     options.currencySpacing = true => "₹ 15"
+ *   - Item ka localName ho toh naam ke saath dikhta hai: "MASALA CHAI (मसाला चाय)"
+ *     (options.localNames = false se chhupa sakte ho)
+ *   - Uppercase sirf un words pe lagta hai jinke script mein case hota hai
+ *     (Latin, Greek, Cyrillic...); Devanagari waise ka waisa rehta hai.
+ *     Locale diya hai toh uske rules se (e.g. Turkish "i" => "İ")
+ *
+ * Pricing rules (src/02-chai-menu-pricing.js) ne price badla ho toh purana
+ * price kaat ke naye ke saath dikhta hai - har format apne tareeke se:
+ *   text/receipt "R̶s̶.̶1̶0̶ Rs.8" (U+0336 stroke), html "<s>Rs.10</s> Rs.8",
+ *   markdown "~~Rs.10~~ Rs.8", whatsapp "~Rs.10~ Rs.8". Offers ("BUY 2 GET 1")
+ *   baaki tags ke saath dikhte hain.
+ *
+ * Apna renderer chahiye? registerMenuRenderer("sms", (view, options) => ...)
+ *
+ * View shape:
+ *   { categories: [{ title: string | null, items: [
+ *       { name, localName, veg, soldOut, tags: string[],
+ *         prices: [{ label: string | null, text, originalText: string | null }] }
+ *   ] }] }
+ */
+
+const renderers = new Map();
+
+/**
+ * Naya renderer register karo (ya built-in ko replace karo).
+ *
+ * @param {string} name - Format name, e.g. "sms"
+ * @param {(view: object, options: object) => string} renderer - Layout function
+ */
+export function registerMenuRenderer(name, renderer) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new TypeError("Renderer name must be a non-empty string");
+  }
+  if (typeof renderer !== 'function') {
+    throw new TypeError("Renderer must be a function");
+  }
+  renderers.set(name, renderer);
+}
+
+/**
+ * Registered renderer dhoondho.
+ *
+ * @param {string} name - Format name
+ * @returns {(view: object, options: object) => string} Renderer
+ * @throws {RangeError} Agar is naam ka koi renderer nahi hai
+ */
+export function getMenuRenderer(name) {
+  if (!renderers.has(name)) {
+    throw new RangeError(`Unknown menu format: "${name}"`);
+  }
+  return renderers.get(name);
+}
+
+/**
+ * Canonical menu se display view banao - har renderer isi ko use karta hai.
+ *
+ * @param {{ categories: Array<object> }} menu - normalizeChaiMenu() ka output
+ * @param {{ locale?: string, currency?: string, fractionDigits?: number,
+ *   currencySpacing?: boolean, localNames?: boolean }} [options] - Price/naam options
+ * @returns {{ categories: Array<object> }} View
+ */
+export function buildMenuView(menu, options = {}) {
+  const { locale, localNames = true } = options;
+  const formatPrice = createPriceFormatter(options);
+  const upper = (text) => toDisplayCase(text, locale);
+
+  return {
+    categories: menu.categories.map(category => ({
+      title: category.name === null ? null : upper(category.name),
+      items: category.items.map(item => ({
+        name: item.localName !== null && localNames
+          ? `${upper(item.name)} (${item.localName})`
+          : upper(item.name),
+        localName: item.localName,
+        veg: item.veg,
+        soldOut: item.soldOut,
+        tags: [
+          ...(item.veg ? [] : ["NON-VEG"]),
+          ...(item.soldOut ? ["SOLD OUT"] : []),
+          ...(item.offers ?? [])
+        ],
+        prices: item.variants.map(variant => ({
+          label: variant.name === null ? null : upper(variant.name),
+          text: formatPrice(variant.price),
+          originalText: variant.originalPrice == null ? null : formatPrice(variant.originalPrice)
+        }))
+      }))
+    }))
+  };
+}
+
+// Uppercase only words written in a script that has case at all
+function toDisplayCase(text, locale) {
+  return text
+    .split(/(\s+)/)
+    .map(word => (/[\p{Lu}\p{Ll}\p{Lt}]/u.test(word) ? word.toLocaleUpperCase(locale) : word))
+    .join("");
+}
+
+function createPriceFormatter(options) {
+  const { locale, currency = "INR", fractionDigits, currencySpacing = false } = options;
+
+  // No locale: the classic "Rs.15" every existing caller relies on
+  if (locale === undefined) {
+    return (price) => `Rs.${price}`;
+  }
+
+  const formatter = new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+    ...(fractionDigits === undefined
+      ? {}
+      : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits })
+  });
+
+  return (price) => {
+    if (!currencySpacing) {
+      return formatter.format(price);
+    }
+
+    // Put exactly one space between the symbol and the number, on either side
+    const parts = formatter.formatToParts(price);
+    return parts
+      .map((part, i) => {
+        const next = parts[i + 1];
+        const prev = parts[i - 1];
+        if (part.type === "literal" && (next?.type === "currency" || prev?.type === "currency")) {
+          return " ";
+        }
+        if (part.type === "currency" && next && next.type !== "literal") {
+          return `${part.value} `;
+        }
+        if (part.type === "currency" && prev && prev.type !== "literal") {
+          return ` ${part.value}`;
+        }
+        return part.value;
+      })
+      .join("");
+  };
+}
+
+// Thermal printers print grapheme clusters, not UTF-16 code units
+function graphemes(text) {
+  return [...new Intl.Segmenter().segment(text)].map(part => part.segment);
+}
+
+// Plain-text strikethrough: a combining long stroke after every character
+function strikeText(text) {
+  return graphemes(text).map(char => `${char}\u0336`).join("");
+}
+
+// "R̶s̶.̶1̶5̶ Rs.12" when a pricing rule changed the price, else just "Rs.15"
+function priceText(price, strike) {
+  return price.originalText === null ? price.text : `${strike(price.originalText)} ${price.text}`;
+}
+
+// Run every visible piece of a price through a renderer's escaper
+function escapePrices(prices, escape) {
+  return prices.map(price => ({
+    label: price.label === null ? null : escape(price.label),
+    text: escape(price.text),
+    originalText: price.originalText === null ? null : escape(price.originalText)
+  }));
+}
+
+// "CUTTING Rs.10 / FULL Rs.15", or just "Rs.12" for a single unnamed price
+function joinPrices(prices, strike = strikeText) {
+  return prices
+    .map(price => {
+      const text = priceText(price, strike);
+      return price.label === null ? text : `${price.label} ${text}`;
+    })
+    .join(" / ");
+}
+
+function renderText(view) {
+  return view.categories
+    .map(category => {
+      const line = category.items
+        .map(item => {
+          const tags = item.tags.map(tag => ` (${tag})`).join("");
+          return `${item.name} - ${joinPrices(item.prices)}${tags}`;
+        })
+        .join(" | ");
+      return category.title === null ? line : `${category.title}: ${line}`;
+    })
+    .join(" || ");
+}
+
+function renderReceipt(view, options = {}) {
+  const width = Number.isInteger(options.width) && options.width >= 16 ? options.width : 32;
+
+  // "LABEL.........Rs.12" - label is cut short if it would eat the leader
+  const leaderLine = (label, price) => {
+    const priceWidth = graphemes(price).length;
+
+    // A price too wide to share the line goes right-aligned under the label
+    if (priceWidth > width - 2) {
+      const text = graphemes(label).slice(0, width).join("");
+      return `${text}\n${" ".repeat(Math.max(0, width - priceWidth))}${price}`;
+    }
+
+    const text = graphemes(label).slice(0, width - priceWidth - 1);
+    return `${text.join("")}${".".repeat(width - text.length - priceWidth)}${price}`;
+  };
+
+  const centred = (title) => {
+    const text = graphemes(` ${title} `).slice(0, width);
+    const left = Math.floor((width - text.length) / 2);
+    return `${"-".repeat(left)}${text.join("")}${"-".repeat(width - text.length - left)}`;
+  };
+
+  return view.categories
+    .map(category => {
+      const lines = category.title === null ? [] : [centred(category.title)];
+
+      category.items.forEach(item => {
+        const name = [item.name, ...item.tags.map(tag => `(${tag})`)].join(" ");
+        const [first] = item.prices;
+
+        if (item.prices.length === 1 && first.label === null) {
+          lines.push(leaderLine(name, priceText(first, strikeText)));
+          return;
+        }
+
+        // Variants go on their own indented lines under the item name
+        lines.push(graphemes(name).slice(0, width).join(""));
+        item.prices.forEach(price => lines.push(leaderLine(`  ${price.label}`, priceText(price, strikeText))));
+      });
+
+      return lines.join("\n");
+    })
+    .join("\n\n");
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderHtml(view) {
+  const sections = view.categories.map(category => {
+    const items = category.items.map(item => {
+      const classes = ["menu-item", ...(item.veg ? [] : ["non-veg"]), ...(item.soldOut ? ["sold-out"] : [])];
+      const tags = item.tags.map(tag => ` <span class="tag">${escapeHtml(tag)}</span>`).join("");
+      const escapedPrices = escapePrices(item.prices, escapeHtml);
+      return `<li class="${classes.join(" ")}"><span class="name">${escapeHtml(item.name)}</span>` +
+        ` <span class="price">${joinPrices(escapedPrices, text => `<s>${text}</s>`)}</span>${tags}</li>`;
+    });
+
+    const heading = category.title === null ? "" : `<h2>${escapeHtml(category.title)}</h2>\n`;
+    return `<section class="menu-category">\n${heading}<ul>\n${items.join("\n")}\n</ul>\n</section>`;
+  });
+
+  return `<div class="chai-menu">\n${sections.join("\n")}\n</div>`;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|~]/g, "\\$&");
+}
+
+function renderMarkdown(view) {
+  return view.categories
+    .map(category => {
+      const lines = category.items.map(item => {
+        const tags = item.tags.map(tag => ` _(${escapeMarkdown(tag)})_`).join("");
+        const escapedPrices = escapePrices(item.prices, escapeMarkdown);
+        return `- **${escapeMarkdown(item.name)}** — ${joinPrices(escapedPrices, text => `~~${text}~~`)}${tags}`;
+      });
+      const heading = category.title === null ? [] : [`## ${escapeMarkdown(category.title)}`, ""];
+      return [...heading, ...lines].join("\n");
+    })
+    .join("\n\n");
+}
+
+function renderWhatsApp(view) {
+  // WhatsApp has no escaping, so strip the marker characters from names
+  const plain = (text) => text.replace(/[*_~`]/g, "");
+
+  return view.categories
+    .map(category => {
+      const lines = category.items.map(item => {
+        const tags = item.tags.map(tag => ` _(${tag})_`).join("");
+        const plainPrices = escapePrices(item.prices, plain);
+        return `${plain(item.name)} - ${joinPrices(plainPrices, text => `~${text}~`)}${tags}`;
+      });
+      const heading = category.title === null ? [] : [`*${plain(category.title)}*`];
+      return [...heading, ...lines].join("\n");
+    })
+    .join("\n\n");
+}
+
+registerMenuRenderer("text", renderText);
+registerMenuRenderer("receipt", renderReceipt);
+registerMenuRenderer("html", renderHtml);
+registerMenuRenderer("markdown", renderMarkdown);
+registerMenuRenderer("whatsapp", renderWhatsApp);
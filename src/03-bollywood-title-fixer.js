@@ -1,3 +1,5 @@
+import { devanagariToRoman, TRANSLITERATION_SCHEMES } from './03-title-transliterator.js';
+
 /**
  * 🎬 Bollywood Movie Title Fixer
  *
@@ -15,11 +17,61 @@
  *   - Hint: Use trim(), split(), map(), join(), charAt(), toUpperCase(),
  *     toLowerCase(), slice()
  *
+ * Styles (options.style):
+ *   - Upar wali list "default" style hai. Doosri languages aur English style
+ *     guides ke chhote words alag hain, isliye built-in profiles:
+ *       "default"  => upar wali Hindi + English mix list
+ *       "hindi"    => ka, ki, ke, se, aur, ya, mein, me, par, pe, ko, ne, tak
+ *       "punjabi"  => da, di, de, te, nu, ton, naal, ch, ya, aur
+ *       "tamil"    => oru, um, il, in, ku
+ *       "telugu"   => lo, ki, ku, tho, nu, mariyu
+ *       "ap"       => AP style: articles, and/but/for/or/nor/so/yet, aur
+ *                     3 letters tak ke prepositions; last word capitalized
+ *       "chicago"  => Chicago style: articles, and/but/for/or/nor, saare
+ *                     common prepositions (length se farak nahi padta);
+ *                     last word capitalized
+ *   - Apni list chahiye? registerTitleStyle("marathi", {
+ *       words: ["cha", "chi", "che"], extends: "hindi", capitalizeLast: false })
+ *   - Unknown style pe RangeError throw hota hai
+ *
+ * Words jo re-case nahi hote:
+ *   - Protected words: dictionary mein jo hai woh hamesha usi casing mein
+ *     ("DDLJ", "PK", "KGF", "RRR", "NH10", ...). options.protectedWords se
+ *     apne words add karo, e.g. ["iPhone", "SRK"]
+ *   - Acronyms: ALL CAPS word jisme koi vowel nahi - "y" bhi vowel gina
+ *     jaata hai ("DDLJ", "KGF" haan; "MY", "CRY" nahi) - as-is rehta hai.
+ *     Baaki CAPS words normal Title Case: "jab we MET" => "Jab We Met",
+ *     "SHOLAY" => "Sholay". "AKA" jaise vowel wale acronyms protectedWords
+ *     mein do
+ *   - Roman numerals (I se XXXIX tak) sirf sequel number ki jagah uppercase:
+ *     title ke end mein, ya ":" / "-" / "(" se pehle - "Dhoom II", "Race
+ *     III: Reloaded", "Dhoom II (2006)". Beech ka "vi" ("dil vi dil" =>
+ *     "Dil Vi Dil") ya style ka small word normal word hi rehta hai
+ *   - Dotted initials uppercase: "m.s. dhoni" => "M.S. Dhoni",
+ *     "munna bhai m.b.b.s." => "Munna Bhai M.B.B.S."
+ *   - Hyphen: har hissa alag se Title Case - "kabhi-kabhi" => "Kabhi-Kabhi";
+ *     beech ke small words aur izafat "e" lowercase - "Dil-e-Nadaan"
+ *   - Apostrophe: "don't" => "Don't", lekin O'/D' jaise prefix ke baad
+ *     capital - "d'souza" => "D'Souza"
+ *   - Word ke aage-peeche ki punctuation ("(", ",", "!") ko chhod ke
+ *     word dekha jaata hai
+ *
+ * Devanagari titles (options.transliterate):
+ *   - true / "bollywood" => "दिलवाले दुल्हनिया ले जाएँगे" pehle
+ *     "dilwale dulhaniya le jayenge" banta hai, phir upar ke saare rules
+ *   - "iso" => ISO 15919-lite diacritics ("Dilvāle Dulhaniyā ...")
+ *   - Default false: Devanagari jaisa hai waisa rehta hai
+ *   - Display ke liye ulta chahiye? 03-title-transliterator.js ka
+ *     romanToDevanagari()
+ *
  * Validation:
  *   - Agar input string nahi hai, return ""
  *   - Agar string trim karne ke baad empty hai, return ""
  *
  * @param {string} title - Messy Bollywood movie title
+ * @param {{ style?: string, protectedWords?: string[], transliterate?: boolean | "bollywood" | "iso" }} [options]
+ *   - Small-word profile (default "default"), extra protected words aur
+ *   Devanagari => Roman scheme
  * @returns {string} Cleaned up Title Case title
  *
  * @example
@@ -28,33 +80,206 @@
  *
  *   fixBollywoodTitle("dil ka kya kare")
  *   // => "Dil ka Kya Kare"
+ *
+ *   fixBollywoodTitle("DDLJ aur dhoom ii")
+ *   // => "DDLJ aur Dhoom II"
+ *
+ *   fixBollywoodTitle("jatt da pyaar", { style: "punjabi" })
+ *   // => "Jatt da Pyaar"
+ *
+ *   fixBollywoodTitle("what we are fighting for", { style: "chicago" })
+ *   // => "What We Are Fighting For"
+ *
+ *   fixBollywoodTitle("कभी ख़ुशी कभी ग़म", { transliterate: true })
+ *   // => "Kabhi Khushi Kabhi Gham"
  */
-export function fixBollywoodTitle(title) {
-  // Your code here
-  // 1. Validation: Must be a string and not just whitespace
+export function fixBollywoodTitle(title, options = {}) {
+  const { style = "default", protectedWords = [], transliterate = false } = options ?? {};
+
+  // 1. Resolve the small-word profile - an unknown style is a caller bug
+  const { words: exceptions, capitalizeLast } = getTitleStyle(style);
+  if (transliterate !== false && transliterate !== true && !TRANSLITERATION_SCHEMES.includes(transliterate)) {
+    throw new RangeError(`Unknown transliteration scheme: "${transliterate}"`);
+  }
+
+  // 2. Validation: Must be a string and not just whitespace
   if (typeof title !== 'string' || title.trim() === "") {
     return "";
   }
 
-  // 2. Define the lowercase exceptions
-  const exceptions = ["ka", "ki", "ke", "se", "aur", "ya", "the", "of", "in", "a", "an"];
+  // 3. Optional: Devanagari to Roman first, so the casing rules see Latin words
+  const source = transliterate
+    ? devanagariToRoman(title, { scheme: transliterate === true ? "bollywood" : transliterate })
+    : title;
 
-  // 3. Clean spaces and split into an array
+  // 4. Clean spaces and split into an array
   // .trim() handles ends, split(/\s+/) handles multiple spaces in the middle
-  const words = title.trim().split(/\s+/);
+  const words = source.trim().split(/\s+/);
+  const lastIndex = words.length - 1;
+
+  const dictionary = new Map(
+    [...PROTECTED_WORDS, ...protectedWords].map(word => [word.toLowerCase(), word])
+  );
 
   const formattedWords = words.map((word, index) => {
-    const lowerWord = word.toLowerCase();
+    // 5. Look at the word without surrounding punctuation like "(" or ","
+    const [, lead, core, trail] = word.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}.]*)$/u);
+    const lowerWord = core.toLowerCase();
 
-    // 4. Rule: Always capitalize the first word OR words not in the exception list
-    if (index === 0 || !exceptions.includes(lowerWord)) {
-      return lowerWord.charAt(0).toUpperCase() + lowerWord.slice(1);
+    // 6. Words that are never re-cased
+    if (dictionary.has(lowerWord)) {
+      return lead + dictionary.get(lowerWord) + trail;
+    }
+    if (isAcronym(core, exceptions)) {
+      return word;
+    }
+    if (isSequelNumeral(core, trail, words[index + 1]) && !exceptions.has(lowerWord)) {
+      return lead + core.toUpperCase() + trail;
+    }
+
+    // 7. Rule: Always capitalize the first word (and the last one, if the
+    // style says so) OR words not in the exception list
+    const isEdge = index === 0 || (capitalizeLast && index === lastIndex);
+    if (isEdge || !exceptions.has(lowerWord)) {
+      return lead + capitalizeWord(lowerWord, exceptions) + trail;
     }
 
-    // 5. Otherwise, keep it lowercase (for "ka", "ki", etc.)
-    return lowerWord;
+    // 8. Otherwise, keep it lowercase (for "ka", "ki", etc.)
+    return lead + lowerWord + trail;
   });
 
-  // 6. Join them back with a single space
+  // 9. Join them back with a single space
   return formattedWords.join(" ");
 }
+
+// Stylised titles and abbreviations that always keep this exact casing
+const PROTECTED_WORDS = [
+  "DDLJ", "PK", "KGF", "RRR", "ABCD", "OMG", "NH10", "MSG", "KKHH", "K3G", "ZNMD"
+];
+
+// Short forms that look like vowel-less acronyms but are ordinary words
+const ABBREVIATIONS = new Set(["mr", "mrs", "dr", "st", "jr", "sr", "vs"]);
+
+const ROMAN_NUMERAL = /^(x{0,3})(ix|iv|v?i{0,3})$/i;
+const DOTTED_INITIALS = /^((?:\p{L}\.)+)(.*)$/u;
+
+function isAcronym(word, exceptions) {
+  const letters = word.replace(/[^\p{L}]/gu, "");
+  const lower = letters.toLowerCase();
+  if (letters.length < 2 || word.toUpperCase() !== word || ABBREVIATIONS.has(lower) || exceptions.has(lower)) {
+    return false;
+  }
+  // Only a word with no vowels at all ("DDLJ", not "CRY") is surely an
+  // acronym; anything else ("AKA") has to be a protected word
+  return !/[aeiouy]/i.test(letters);
+}
+
+// A sequel number ends the title or comes right before a ":" / "-" subtitle
+// or a bracketed note like "(2006)"
+function isSequelNumeral(core, trail, nextWord) {
+  const endsTitle = nextWord === undefined || /^[:\-–—]/.test(trail) || /^[:\-–—(]/.test(nextWord);
+  return core !== "" && ROMAN_NUMERAL.test(core) && endsTitle;
+}
+
+function capitalizePart(part) {
+  // "M.S." and "M.S.Dhoni": initials up, whatever follows in Title Case
+  const initials = part.match(DOTTED_INITIALS);
+  if (initials) {
+    return initials[1].toUpperCase() + capitalizePart(initials[2]);
+  }
+
+  // O'Brien, D'Souza - but not Don'T
+  const elided = part.match(/^(\p{L})(['’])(\p{L}{2,})$/u);
+  if (elided) {
+    return elided[1].toUpperCase() + elided[2] + elided[3].charAt(0).toUpperCase() + elided[3].slice(1);
+  }
+
+  return part.charAt(0).toUpperCase() + part.slice(1);
+}
+
+function capitalizeWord(lowerWord, exceptions) {
+  // Each hyphenated part is its own word; small words and the Urdu
+  // izafat "e" stay lowercase after the first part (Dil-e-Nadaan)
+  return lowerWord
+    .split("-")
+    .map((part, i) => (i > 0 && (part === "e" || exceptions.has(part)) ? part : capitalizePart(part)))
+    .join("-");
+}
+
+const titleStyles = new Map();
+
+/**
+ * Naya small-word profile register karo (ya built-in ko replace karo).
+ *
+ * @param {string} name - Style name, e.g. "marathi"
+ * @param {{ words: string[], extends?: string, capitalizeLast?: boolean }} profile
+ *   - words jo beech mein lowercase rahenge; extends diya toh us style ke
+ *   words bhi shaamil (aur uska capitalizeLast default)
+ */
+export function registerTitleStyle(name, profile) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new TypeError("Title style name must be a non-empty string");
+  }
+  if (!profile || !Array.isArray(profile.words) || !profile.words.every(word => typeof word === 'string')) {
+    throw new TypeError("Title style needs a words array of strings");
+  }
+
+  const base = profile.extends === undefined ? null : getTitleStyle(profile.extends);
+  titleStyles.set(name, {
+    words: new Set([...(base ? base.words : []), ...profile.words.map(word => word.toLowerCase())]),
+    capitalizeLast: profile.capitalizeLast ?? base?.capitalizeLast ?? false
+  });
+}
+
+/**
+ * Registered style dhoondho.
+ *
+ * @param {string} name - Style name
+ * @returns {{ words: Set<string>, capitalizeLast: boolean }} Profile
+ * @throws {RangeError} Agar is naam ka koi style nahi hai
+ */
+export function getTitleStyle(name) {
+  if (!titleStyles.has(name)) {
+    throw new RangeError(`Unknown title style: "${name}"`);
+  }
+  return titleStyles.get(name);
+}
+
+const ARTICLES = ["a", "an", "the"];
+
+registerTitleStyle("default", {
+  words: ["ka", "ki", "ke", "se", "aur", "ya", "the", "of", "in", "a", "an"]
+});
+registerTitleStyle("hindi", {
+  words: ["ka", "ki", "ke", "se", "aur", "ya", "mein", "me", "par", "pe", "ko", "ne", "tak"]
+});
+registerTitleStyle("punjabi", {
+  words: ["da", "di", "de", "te", "nu", "ton", "naal", "ch", "ya", "aur"]
+});
+registerTitleStyle("tamil", {
+  words: ["oru", "um", "il", "in", "ku"]
+});
+registerTitleStyle("telugu", {
+  words: ["lo", "ki", "ku", "tho", "nu", "mariyu"]
+});
+registerTitleStyle("ap", {
+  words: [
+    ...ARTICLES,
+    "and", "but", "for", "or", "nor", "so", "yet",
+    "as", "at", "by", "in", "of", "off", "on", "out", "per", "to", "up", "via"
+  ],
+  capitalizeLast: true
+});
+registerTitleStyle("chicago", {
+  words: [
+    ...ARTICLES,
+    "and", "but", "for", "or", "nor",
+    "about", "above", "across", "after", "against", "along", "among", "around", "as", "at",
+    "before", "behind", "below", "beneath", "beside", "between", "beyond", "by", "down",
+    "during", "except", "for", "from", "in", "inside", "into", "like", "near", "of", "off",
+    "on", "onto", "out", "outside", "over", "past", "per", "since", "through", "throughout",
+    "to", "toward", "towards", "under", "underneath", "until", "up", "upon", "via", "with",
+    "within", "without"
+  ],
+  capitalizeLast: true
+});
@@ -0,0 +1,178 @@
+import { fixBollywoodTitle } from './03-bollywood-title-fixer.js';
+
+/**
+ * 🔍 Bollywood Title Matcher - Duplicate Titles Pakdo
+ *
+ * Pappu ke database mein "Dilwale Dulhania Le Jayenge" bhi hai aur
+ * "dilwale dulhaniya le jayenge" bhi. Casing theek karne se kaam nahi
+ * chalega - Hinglish spellings har koi alag likhta hai. Toh pehle title ko
+ * ek "folded" form mein laao jahan spelling ka farak mit jaaye, phir
+ * Levenshtein distance se similarity nikaalo.
+ *
+ * Folding rules (foldTitle):
+ *   - fixBollywoodTitle se spaces saaf (Devanagari titles Roman mein), phir
+ *     lowercase
+ *   - Accents hatao (é => e), punctuation hatao, numbers rakho
+ *   - "ee" => "i", "oo" => "u" (Deewana / Diwana, Zaroori / Zaruri)
+ *   - Double letters single: "aa" => "a", "gg" => "g", "chh" => "ch"
+ *   - "iya" => "ia" (Dulhaniya / Dulhania), "w" => "v", "ph" => "f"
+ *
+ * Similarity:
+ *   - 1 - levenshtein(foldedA, foldedB) / max(length) - 0 se 1 tak
+ *
+ * findCanonicalTitle:
+ *   - Sequel numbers aur roman numerals exactly match hone chahiye -
+ *     "Dhoom 3" kabhi "Dhoom 2" nahi banta, chahe spelling kitni bhi milti
+ *     ho; "Dhoom II" aur "Dhoom 2" same hain
+ *   - Release year (1900-2099) na number match mein ginta hai na score mein:
+ *     "dilwale dulhaniya le jayenge (1995)" => "Dilwale Dulhania Le Jayenge".
+ *     Sirf saal hi title ho ("1920") toh woh normal number hai
+ *   - Baaki catalogue ke har title se score nikaalo, best wala lo
+ *   - Score options.threshold (default 0.8) se kam hai toh null
+ *   - Invalid input (non-string, empty) ya khaali catalogue => null
+ *
+ * @param {string} input - User ka likha title
+ * @param {string[]} catalogue - Canonical titles ki list
+ * @param {{ threshold?: number }} [options] - Minimum score
+ * @returns {{ title: string, score: number } | null} Best match aur uska score
+ *
+ * @example
+ *   findCanonicalTitle("dilwale dulhaniya le jayenge", [
+ *     "Dilwale Dulhania Le Jayenge", "Dil To Pagal Hai"
+ *   ])
+ *   // => { title: "Dilwale Dulhania Le Jayenge", score: 1 }
+ */
+export function findCanonicalTitle(input, catalogue, options = {}) {
+  const { threshold = 0.8 } = options ?? {};
+
+  // 1. Validation
+  const folded = foldTitle(input);
+  if (folded === "" || !Array.isArray(catalogue)) {
+    return null;
+  }
+
+  // 2. Score every catalogue entry with the same numbers; first one wins a tie
+  const numbers = titleNumbers(input);
+  let best = null;
+  catalogue.forEach(title => {
+    const candidate = foldTitle(title);
+    if (candidate === "" || titleNumbers(title) !== numbers) {
+      return;
+    }
+    const score = similarity(withoutYears(folded), withoutYears(candidate));
+    if (best === null || score > best.score) {
+      best = { title, score };
+    }
+  });
+
+  // 3. Too far from everything means "not in the catalogue"
+  return best !== null && best.score >= threshold ? best : null;
+}
+
+/**
+ * Title ko spelling-insensitive folded form mein badlo.
+ *
+ * @param {string} title - Koi bhi title
+ * @returns {string} Folded title, ya "" agar input invalid hai
+ *
+ * @example
+ *   foldTitle("  Dilwale Dulhaniya Le Jaayenge! ")
+ *   // => "dilvale dulhania le jayenge"
+ */
+export function foldTitle(title) {
+  const cleaned = fixBollywoodTitle(title, { transliterate: true });
+  if (cleaned === "") {
+    return "";
+  }
+
+  return cleaned
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .split(/\s+/)
+    .filter(word => word !== "")
+    .map(word => word
+      .replace(/ee/g, "i")
+      .replace(/oo/g, "u")
+      .replace(/(\p{L})\1+/gu, "$1")
+      .replace(/iya/g, "ia")
+      .replace(/w/g, "v")
+      .replace(/ph/g, "f"))
+    .join(" ");
+}
+
+/**
+ * Do titles kitne milte-julte hain - folding ke baad Levenshtein ratio.
+ *
+ * @param {string} a - Pehla title
+ * @param {string} b - Doosra title
+ * @returns {number} 0 (bilkul alag) se 1 (same) tak; invalid input pe 0
+ */
+export function titleSimilarity(a, b) {
+  const foldedA = foldTitle(a);
+  const foldedB = foldTitle(b);
+  if (foldedA === "" || foldedB === "") {
+    return 0;
+  }
+  return similarity(foldedA, foldedB);
+}
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10 };
+const ROMAN_NUMERAL = /^x{0,3}(ix|iv|v?i{0,3})$/;
+
+const YEAR = /^(19|20)\d{2}$/;
+
+// Release years say nothing about which film it is; a title that is only a
+// year ("1920") keeps it
+function withoutYears(folded) {
+  return folded.split(" ").filter(word => !YEAR.test(word)).join(" ") || folded;
+}
+
+// Sorted numbers in a title, roman numerals (II and up) read as digits and
+// release years left out: "Dhoom II" and "Dhoom 2 (2006)" both give "2"
+function titleNumbers(title) {
+  const words = fixBollywoodTitle(title, { transliterate: true })
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word !== "");
+  const kept = words.filter(word => !YEAR.test(word));
+
+  return (kept.length > 0 ? kept : words)
+    .map(word => {
+      if (/^\d+$/.test(word)) {
+        return Number(word);
+      }
+      if (word.length < 2 || !ROMAN_NUMERAL.test(word)) {
+        return null;
+      }
+      return [...word].reduce((total, char, i) => {
+        const value = ROMAN_VALUES[char];
+        return value < (ROMAN_VALUES[word[i + 1]] ?? 0) ? total - value : total + value;
+      }, 0);
+    })
+    .filter(value => value !== null)
+    .sort((a, b) => a - b)
+    .join(",");
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Classic edit distance, keeping only one previous row in memory
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
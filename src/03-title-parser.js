@@ -0,0 +1,168 @@
+import { fixBollywoodTitle } from './03-bollywood-title-fixer.js';
+import { foldTitle } from './03-title-matcher.js';
+
+/**
+ * 🎞️ Bollywood Title Parser - Year, Sequel aur Subtitle Alag Karo
+ *
+ * Pappu ke database mein titles aise aate hain: "KGF Chapter 2 (2022)",
+ * "Dhoom:3", "Munna Bhai M.B.B.S. - 2003", "Baahubali 2: The Conclusion".
+ * fixBollywoodTitle sirf casing theek karta hai. Franchise ke hisaab se
+ * sort/group karna hai toh title ko hisson mein todna padega.
+ *
+ * Parsing rules (parseBollywoodTitle):
+ *   - Year: end mein "(2022)", "[2022]", "- 2003" ya ", 2003" - sirf 1900
+ *     se 2099 tak; baaki numbers title ka hissa rehte hain
+ *   - Subtitle: pehle ":" ya spaced dash (" - ", "–", "—") ke baad ka hissa.
+ *     Agar woh hissa sirf sequel hai ("Dhoom:3") toh woh sequel hai,
+ *     subtitle nahi
+ *   - Sequel: title ke end mein "Chapter 2" / "Part 2" / "Vol 2" (koi bhi
+ *     number, ya roman "Part V"), ya bare 2-9 ("Dhoom 3") ya roman II-X
+ *     ("Dhoom II"). Bare 10+ numbers title ka hissa hain ("Article 15"),
+ *     aur akela "V"/"X" bhi ("Mr. X") - woh sirf label ke baad sequel hai
+ *   - Title aur subtitle fixBollywoodTitle se cased (options aage jaate hain)
+ *   - franchise: foldTitle(title) - "Dhoom", "DHOOM" aur "dhoom" ek hi group
+ *
+ * Display (formatBollywoodTitle):
+ *   - "<title>[ <label>] <sequel>[: <subtitle>][ (<year>)]"
+ *   - Sequel hamesha Arabic number mein: "Dhoom II" => "Dhoom 2"
+ *
+ * Validation:
+ *   - Agar input string nahi hai ya empty hai, return null
+ *   - Sab kuch nikaalne ke baad title khaali bache ("(2022)"), return null
+ *
+ * @param {string} rawTitle - Messy title with year/sequel/subtitle
+ * @param {{ style?: string, protectedWords?: string[], transliterate?: boolean | string }} [options]
+ *   - fixBollywoodTitle ke options
+ * @returns {{ title: string, sequel: number | null, sequelLabel: string | null,
+ *   subtitle: string | null, year: number | null, franchise: string, display: string } | null}
+ *
+ * @example
+ *   parseBollywoodTitle("kgf chapter 2 (2022)")
+ *   // => { title: "KGF", sequel: 2, sequelLabel: "Chapter", subtitle: null,
+ *   //      year: 2022, franchise: "kgf", display: "KGF Chapter 2 (2022)" }
+ *
+ *   parseBollywoodTitle("Dhoom:3").display
+ *   // => "Dhoom 3"
+ */
+export function parseBollywoodTitle(rawTitle, options = {}) {
+  // 1. Validation
+  if (typeof rawTitle !== 'string' || rawTitle.trim() === "") {
+    return null;
+  }
+  let rest = rawTitle.trim().replace(/\s+/g, " ");
+
+  // 2. Year at the very end
+  let year = null;
+  const yearMatch = rest.match(YEAR_SUFFIX);
+  if (yearMatch) {
+    year = Number(yearMatch[1] ?? yearMatch[2] ?? yearMatch[3]);
+    rest = rest.slice(0, yearMatch.index).trim();
+  }
+
+  // 3. Subtitle after the first colon or spaced dash - unless it is only a sequel
+  let subtitle = null;
+  const separator = rest.match(SUBTITLE_SEPARATOR);
+  if (separator) {
+    const head = rest.slice(0, separator.index).trim();
+    const tail = rest.slice(separator.index + separator[0].length).trim();
+    if (parseSequel(tail) !== null) {
+      rest = `${head} ${tail}`;
+    } else {
+      rest = head;
+      subtitle = tail === "" ? null : tail;
+    }
+  }
+
+  // 4. Sequel marker at the end of the main title
+  let sequel = null;
+  let sequelLabel = null;
+  const sequelMatch = rest.match(SEQUEL_SUFFIX);
+  if (sequelMatch) {
+    const parsed = parseSequel(sequelMatch[0].trim());
+    if (parsed !== null && sequelMatch.index > 0) {
+      ({ number: sequel, label: sequelLabel } = parsed);
+      rest = rest.slice(0, sequelMatch.index).trim();
+    }
+  }
+
+  // 5. Case the pieces; nothing left of the title means nothing to parse
+  const title = fixBollywoodTitle(rest, options);
+  if (title === "") {
+    return null;
+  }
+  const cased = subtitle === null ? null : fixBollywoodTitle(subtitle, options) || null;
+
+  const metadata = { title, sequel, sequelLabel, subtitle: cased, year, franchise: foldTitle(title) };
+  return { ...metadata, display: formatBollywoodTitle(metadata) };
+}
+
+/**
+ * Parsed metadata se canonical display string banao.
+ *
+ * @param {{ title: string, sequel?: number | null, sequelLabel?: string | null,
+ *   subtitle?: string | null, year?: number | null }} metadata
+ * @returns {string} e.g. "Baahubali 2: The Conclusion (2017)", ya "" agar
+ *   title missing hai
+ */
+export function formatBollywoodTitle(metadata) {
+  if (!metadata || typeof metadata.title !== 'string' || metadata.title === "") {
+    return "";
+  }
+  const { title, sequel = null, sequelLabel = null, subtitle = null, year = null } = metadata;
+
+  let display = title;
+  if (sequel !== null) {
+    display += sequelLabel ? ` ${sequelLabel} ${sequel}` : ` ${sequel}`;
+  }
+  if (subtitle) {
+    display += `: ${subtitle}`;
+  }
+  if (year !== null) {
+    display += ` (${year})`;
+  }
+  return display;
+}
+
+/**
+ * Sort comparator: franchise, phir sequel (original = 1), phir year.
+ *
+ * @example
+ *   titles.map(t => parseBollywoodTitle(t)).sort(compareBollywoodTitles)
+ */
+export function compareBollywoodTitles(a, b) {
+  return a.franchise.localeCompare(b.franchise) ||
+    (a.sequel ?? 1) - (b.sequel ?? 1) ||
+    (a.year ?? 0) - (b.year ?? 0);
+}
+
+const YEAR_SUFFIX = /\s*(?:\(\s*((?:19|20)\d\d)\s*\)|\[\s*((?:19|20)\d\d)\s*\]|[-–—,]\s*((?:19|20)\d\d))$/;
+const SUBTITLE_SEPARATOR = /\s*:\s*|\s+[-–—]\s+|\s*[–—]\s*/;
+const SEQUEL_SUFFIX = /\s(?:(?:chapter|part|vol\.?|volume)\s+)?\S+$/i;
+const SEQUEL_LABELS = { chapter: "Chapter", part: "Part", vol: "Vol", "vol.": "Vol.", volume: "Volume" };
+const ROMAN_SEQUELS = ["ii", "iii", "iv", "v", "vi", "vii", "viii", "ix", "x"];
+
+// "Chapter 2" / "Part V" => { number, label }; "3" / "III" => { number: 3, label: null }
+function parseSequel(text) {
+  const [first, second, ...extra] = text.split(" ");
+  if (extra.length > 0) {
+    return null;
+  }
+
+  if (second !== undefined) {
+    const label = SEQUEL_LABELS[first.toLowerCase()];
+    const number = /^\d{1,2}$/.test(second) ? Number(second) : romanSequel(second);
+    return label && number !== null ? { number, label } : null;
+  }
+
+  if (/^[2-9]$/.test(first)) {
+    return { number: Number(first), label: null };
+  }
+  // A lone "V" or "X" reads like a letter ("Mr. X"), not a sequel - it needs a label
+  const roman = first.length > 1 ? romanSequel(first) : null;
+  return roman === null ? null : { number: roman, label: null };
+}
+
+function romanSequel(text) {
+  const index = ROMAN_SEQUELS.indexOf(text.toLowerCase());
+  return index === -1 ? null : index + 2;
+}
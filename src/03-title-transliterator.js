@@ -0,0 +1,272 @@
+/**
+ * 🔤 Bollywood Title Transliterator - Devanagari ⇄ Roman
+ *
+ * Aadhe titles Devanagari mein aate hain ("दिलवाले दुल्हनिया ले जाएँगे") aur
+ * fixBollywoodTitle unhe waise hi chhod deta hai. Yeh module bina kisi
+ * network/library ke Devanagari ko Roman mein badalta hai, aur display ke
+ * liye ulta bhi.
+ *
+ * devanagariToRoman(text, { scheme }):
+ *   - "bollywood" (default): jaise posters pe likhte hain - "dilwale",
+ *     "pyaar", "deewana". Medial ī/ū => "ee"/"oo", end mein "i"/"u";
+ *     ā closed syllable mein "aa" (pyaar, lagaan), warna "a" (dilwale);
+ *     व word ke shuru mein aur syllable band karte waqt "v" (devdaas), beech
+ *     mein vowel ke saath "w" (dilwale, pawan); vowel ke baad ए => "ye"
+ *   - "iso": ISO 15919-lite - ā ī ū ṛ ṭ ḍ ṇ ś ṣ ṁ ḥ jaise diacritics
+ *   - Dono schemes Hindi schwa deletion karte hain: word ke end ka aur
+ *     V-C_C-V wala inherent "a" nahi bola jaata (दिलवाले => dil-wale,
+ *     "dilawale" nahi)
+ *   - Devanagari digits ASCII ban jaate hain; baaki text as-is rehta hai
+ *
+ * romanToDevanagari(text):
+ *   - Display ke liye phonetic ulta conversion - "pyaar" => "प्यार",
+ *     "lagaan" => "लगान". Roman spelling ambiguous hai (t = त ya ट?),
+ *     toh output exact spelling ki guarantee nahi hai
+ *   - Word ke end ka "a" => ा, end ka "i" => ी; n/m consonant se pehle
+ *     anusvara (ं) ban jaata hai
+ *
+ * Validation:
+ *   - Agar input string nahi hai, return ""
+ *
+ * @param {string} text - Devanagari (ya mixed) text
+ * @param {{ scheme?: "bollywood" | "iso" }} [options] - Romanisation scheme
+ * @returns {string} Roman text
+ *
+ * @example
+ *   devanagariToRoman("दिलवाले दुल्हनिया ले जाएँगे")
+ *   // => "dilwale dulhaniya le jayenge"
+ *
+ *   devanagariToRoman("प्यार", { scheme: "iso" })
+ *   // => "pyār"
+ */
+export function devanagariToRoman(text, options = {}) {
+  const { scheme = "bollywood" } = options ?? {};
+  if (!TRANSLITERATION_SCHEMES.includes(scheme)) {
+    throw new RangeError(`Unknown transliteration scheme: "${scheme}"`);
+  }
+
+  if (typeof text !== 'string') {
+    return "";
+  }
+
+  // Nukta letters (क़, ज़, ...) are composition-excluded, so NFC splits them
+  return text
+    .normalize("NFC")
+    .replace(/[ऀ-ॿ]+/g, word => romaniseWord(word, scheme));
+}
+
+export const TRANSLITERATION_SCHEMES = Object.freeze(["bollywood", "iso"]);
+
+/**
+ * Roman (Bollywood spelling) se Devanagari - sirf display ke liye.
+ * Spelling letter-by-letter follow hoti hai: "Punchnama" ka "u" aur single
+ * "a" waise hi rehte hain, Hindi wala "पंचनामा" nahi banta.
+ *
+ * @param {string} text - Roman text
+ * @returns {string} Devanagari text; non-letters as-is
+ *
+ * @example
+ *   romanToDevanagari("Rang De Basanti")
+ *   // => "रंग दे बसंती"
+ *
+ *   romanToDevanagari("Pyaar ka Punchnama")
+ *   // => "प्यार का पुंच्नमा"
+ */
+export function romanToDevanagari(text) {
+  if (typeof text !== 'string') {
+    return "";
+  }
+  return text.replace(/[A-Za-z]+/g, word => devanagariseWord(word.toLowerCase()));
+}
+
+const CONSONANTS = {
+  "क": ["k", "k"], "ख": ["kh", "kh"], "ग": ["g", "g"], "घ": ["gh", "gh"], "ङ": ["n", "ṅ"],
+  "च": ["ch", "c"], "छ": ["chh", "ch"], "ज": ["j", "j"], "झ": ["jh", "jh"], "ञ": ["n", "ñ"],
+  "ट": ["t", "ṭ"], "ठ": ["th", "ṭh"], "ड": ["d", "ḍ"], "ढ": ["dh", "ḍh"], "ण": ["n", "ṇ"],
+  "त": ["t", "t"], "थ": ["th", "th"], "द": ["d", "d"], "ध": ["dh", "dh"], "न": ["n", "n"],
+  "प": ["p", "p"], "फ": ["ph", "ph"], "ब": ["b", "b"], "भ": ["bh", "bh"], "म": ["m", "m"],
+  "य": ["y", "y"], "र": ["r", "r"], "ल": ["l", "l"], "व": ["v", "v"],
+  "श": ["sh", "ś"], "ष": ["sh", "ṣ"], "स": ["s", "s"], "ह": ["h", "h"]
+};
+
+// Consonant + nukta (़)
+const NUKTA_CONSONANTS = {
+  "क": ["q", "q"], "ख": ["kh", "ḵh"], "ग": ["gh", "ġ"], "ज": ["z", "z"],
+  "फ": ["f", "f"], "ड": ["r", "ṛ"], "ढ": ["rh", "ṛh"]
+};
+
+// Vowel keys shared by independent vowels and matras
+const INDEPENDENT_VOWELS = {
+  "अ": "a", "आ": "aa", "इ": "i", "ई": "ii", "उ": "u", "ऊ": "uu", "ऋ": "ri",
+  "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ऍ": "e"
+};
+const MATRAS = {
+  "ा": "aa", "ि": "i", "ी": "ii", "ु": "u", "ू": "uu", "ृ": "ri",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ॅ": "e"
+};
+const ISO_VOWELS = {
+  a: "a", aa: "ā", i: "i", ii: "ī", u: "u", uu: "ū", ri: "ṛ", e: "e", ai: "ai", o: "o", au: "au"
+};
+
+const VIRAMA = "्";
+const NUKTA = "़";
+const SIGNS = { "ं": ["n", "ṁ"], "ँ": ["n", "m̐"], "ः": ["h", "ḥ"] };
+const LABIALS = new Set(["p", "ph", "b", "bh", "m"]);
+
+function romaniseWord(word, scheme) {
+  const iso = scheme === "iso" ? 1 : 0;
+  const units = [];
+
+  // 1. Break the word into consonant/vowel units
+  const chars = [...word];
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const last = units[units.length - 1];
+
+    if (CONSONANTS[char]) {
+      const nukta = chars[i + 1] === NUKTA && NUKTA_CONSONANTS[char];
+      if (nukta) i++;
+      units.push({ consonant: (nukta || CONSONANTS[char])[iso], base: char, vowel: "a", inherent: true, sign: "" });
+    } else if (MATRAS[char] && last?.consonant) {
+      last.vowel = MATRAS[char];
+      last.inherent = false;
+    } else if (char === VIRAMA && last?.consonant) {
+      last.vowel = "";
+      last.inherent = false;
+    } else if (INDEPENDENT_VOWELS[char]) {
+      units.push({ consonant: "", vowel: INDEPENDENT_VOWELS[char], inherent: false, sign: "" });
+    } else if (SIGNS[char] && last) {
+      last.sign = char;
+    } else if (char >= "०" && char <= "९") {
+      units.push({ literal: String(char.charCodeAt(0) - 0x0966) });
+    } else {
+      units.push({ literal: char === "।" ? "." : char === "ऽ" ? "'" : char });
+    }
+  }
+
+  // 2. Schwa deletion: the final inherent "a" (kept after a -र/-य conjunct,
+  // as in मित्र), then right to left every inherent "a" in a V-C_C-V context
+  const hasVowel = (unit) => unit && !unit.literal && unit.vowel !== "";
+  const lastUnit = units[units.length - 1];
+  const beforeLast = units[units.length - 2];
+  const keepsFinal = !hasVowel(beforeLast) && (lastUnit.base === "र" || lastUnit.base === "य");
+  if (units.length > 1 && lastUnit.inherent && !lastUnit.sign && !keepsFinal) {
+    lastUnit.vowel = "";
+  }
+  for (let i = units.length - 2; i >= 1; i--) {
+    const unit = units[i];
+    const next = units[i + 1];
+    if (unit.inherent && !unit.sign && hasVowel(units[i - 1]) && next.consonant && hasVowel(next)) {
+      unit.vowel = "";
+    }
+  }
+
+  // 3. Spell every unit out
+  return units
+    .map((unit, i) => {
+      if (unit.literal !== undefined) {
+        return unit.literal;
+      }
+
+      const prev = units[i - 1];
+      const next = units[i + 1];
+      const isLast = units.slice(i + 1).every(u => u.literal !== undefined);
+
+      let consonant = unit.consonant;
+      let vowel = iso ? ISO_VOWELS[unit.vowel] ?? "" : bollywoodVowel(unit, next, isLast);
+
+      // व opening a syllable mid-word is "w" (dilwale, pawan); व closing
+      // one keeps "v" (devdaas, dev)
+      if (!iso && unit.base === "व" && i > 0 && unit.vowel !== "") {
+        consonant = "w";
+      }
+      // जाएँगे => "jayenge": a glide between two vowels
+      if (!iso && !unit.consonant && unit.vowel === "e" && hasVowel(prev)) {
+        vowel = "ye";
+      }
+
+      let sign = "";
+      if (unit.sign) {
+        sign = SIGNS[unit.sign][iso];
+        if (!iso && unit.sign === "ं" && next?.consonant && LABIALS.has(next.consonant)) {
+          sign = "m";
+        }
+      }
+
+      return consonant + vowel + sign;
+    })
+    .join("");
+}
+
+function bollywoodVowel(unit, next, isLast) {
+  switch (unit.vowel) {
+    case "aa": {
+      // Closed syllable ("pyaar", "lagaan") keeps the double a
+      const closed = next?.consonant && next.vowel === "" && !next.literal;
+      return closed ? "aa" : "a";
+    }
+    case "ii":
+      return isLast ? "i" : "ee";
+    case "uu":
+      return isLast ? "u" : "oo";
+    default:
+      return unit.vowel;
+  }
+}
+
+// Longest spellings first so "chh" wins over "ch" and "c"
+const ROMAN_CONSONANTS = [
+  ["chh", "छ"], ["kh", "ख"], ["gh", "घ"], ["ch", "च"], ["jh", "झ"], ["th", "थ"], ["dh", "ध"],
+  ["ph", "फ"], ["bh", "भ"], ["sh", "श"], ["k", "क"], ["g", "ग"], ["c", "क"], ["j", "ज"],
+  ["t", "त"], ["d", "द"], ["n", "न"], ["p", "प"], ["b", "ब"], ["m", "म"], ["y", "य"],
+  ["r", "र"], ["l", "ल"], ["v", "व"], ["w", "व"], ["s", "स"], ["h", "ह"],
+  ["f", "फ़"], ["z", "ज़"], ["q", "क़"], ["x", "क्स"]
+];
+const ROMAN_VOWELS = [
+  ["aa", "आ", "ा"], ["ai", "ऐ", "ै"], ["au", "औ", "ौ"], ["ee", "ई", "ी"], ["oo", "ऊ", "ू"],
+  ["a", "अ", ""], ["i", "इ", "ि"], ["u", "उ", "ु"], ["e", "ए", "े"], ["o", "ओ", "ो"]
+];
+
+function devanagariseWord(word) {
+  // 1. Tokenise greedily into consonants and vowels
+  const tokens = [];
+  let rest = word;
+  while (rest.length > 0) {
+    const vowel = ROMAN_VOWELS.find(([roman]) => rest.startsWith(roman));
+    if (vowel) {
+      tokens.push({ type: "vowel", roman: vowel[0], independent: vowel[1], matra: vowel[2] });
+      rest = rest.slice(vowel[0].length);
+      continue;
+    }
+    const consonant = ROMAN_CONSONANTS.find(([roman]) => rest.startsWith(roman));
+    tokens.push({ type: "consonant", roman: consonant[0], letter: consonant[1] });
+    rest = rest.slice(consonant[0].length);
+  }
+
+  // 2. Write consonants with matras, virama for clusters, anusvara for n/m
+  return tokens
+    .map((token, i) => {
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      const isLast = i === tokens.length - 1;
+
+      if (token.type === "vowel") {
+        if (prev?.type !== "consonant") {
+          return token.independent;
+        }
+        // Word-final "a"/"i" are almost always long in Hindi spellings
+        if (isLast && token.roman === "a") return "ा";
+        if (isLast && token.roman === "i") return "ी";
+        return token.matra;
+      }
+
+      if (next?.type === "consonant") {
+        if ((token.roman === "n" || token.roman === "m") && prev?.type === "vowel") {
+          return "ं";
+        }
+        return token.letter + VIRAMA;
+      }
+      return token.letter;
+    })
+    .join("");
+}
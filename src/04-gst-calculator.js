@@ -1,3 +1,7 @@
+import { lookupGSTRate } from './04-gst-rates.js';
+import { resolveGSTState } from './04-gstin-validator.js';
+import { assertRoundingMode, paiseToRupees, roundDivide, toDecimal } from './04-gst-money.js';
+
 /**
  * 🧾 GST Calculator - Tax Lagao Bhai!
  *
@@ -13,23 +17,74 @@
  *   - "luxury"      => 28% GST (cars, aerated drinks, tobacco)
  *   - Any other category => return null
  *
+ * HSN/SAC codes:
+ *   - category ki jagah HSN/SAC code bhi de sakte ho: "6109", "7102",
+ *     "996331" - rate 04-gst-rates.js ki table se aata hai (0.25%, 3%, 40%
+ *     wale slabs bhi)
+ *   - Price-dependent slabs ke liye amount hi unit value hai: T-shirt
+ *     (6109) Rs 1000 tak 5%, upar 12% (22 Sep 2025 se Rs 2500 / 18%)
+ *   - options.date: supply ki date (Date ya "YYYY-MM-DD", default aaj) -
+ *     us din jo rate laagu tha wahi lagega
+ *
+ * Place of supply (options.supplierState + options.recipientState):
+ *   - 2-digit GST state codes, e.g. "27" (Maharashtra), "29" (Karnataka),
+ *     ya poora GSTIN ("27AAPFU0939F1ZV" - validateGSTIN se check hota hai);
+ *     recipientState hi place of supply hai
+ *   - Same state => intra-state: CGST + SGST, dono aadha-aadha rate
+ *     (bina legislature wale UT mein SGST ki jagah UTGST)
+ *   - Alag state => inter-state: poora IGST
+ *   - Result mein supplyType aur components: [{ tax, rate, amount }]
+ *   - gstAmount pehle jaisa round hota hai, phir paise mein split: odd
+ *     paisa CGST ko jaata hai, taaki components ka sum exactly gstAmount ho
+ *   - State codes na do toh output pehle jaisa (bina components ke)
+ *
+ * Tax-inclusive mode (options.inclusive = true):
+ *   - amount ab MRP hai (tax ke saath); base aur tax ulta nikaalo:
+ *     gstAmount = MRP * rate / (100 + rate), paise mein round
+ *   - baseAmount = MRP - gstAmount, taaki baseAmount + gstAmount hamesha
+ *     exactly MRP ho; totalAmount = MRP (paise tak round)
+ *   - Price-dependent slab base value se decide hota hai: Rs 1050 ki
+ *     T-shirt (5%) ka base Rs 1000 hai, toh 5% hi lagega
+ *   - Kabhi koi slab apne hi base pe fit nahi hota: Rs 1100 ki T-shirt pe
+ *     12% se base 982.14 (5% wala slab), 5% se base 1047.62 (12% wala).
+ *     Aise gap mein lower rate lagta hai - yahan 5%
+ *
  * Rules:
  *   - Calculate: gstAmount = amount * rate / 100
  *   - Calculate: totalAmount = amount + gstAmount
- *   - Round gstAmount aur totalAmount to 2 decimal places using
- *     parseFloat(value.toFixed(2))
+ *   - amount pehle paise tak half-up round hota hai (100.555 => 100.56) -
+ *     yahi baseAmount hai aur tax isi pe lagta hai; roundingMode sirf tax
+ *     pe lagta hai, customer ka price "ceil" se upar nahi jaata
+ *   - gstAmount ek hi baar 2 decimal places (paise) tak round hota hai, aur
+ *     totalAmount usi rounded tax se banta hai: base + gst === total, har
+ *     rounding mode mein
+ *   - Hisaab float mein nahi, 04-gst-money.js ke exact BigInt paise mein
+ *     hota hai - Rs 20.10 pe 5% = 1.005 => 1.01 (float + toFixed 1.00 deta tha)
+ *   - options.roundingMode: "half-up" (default), "half-even" ya "ceil" -
+ *     unknown mode pe RangeError
  *   - Return object: { baseAmount, gstRate, gstAmount, totalAmount }
  *   - category ko lowercase mein compare karo (case-insensitive)
- *   - Hint: Use toFixed(), parseFloat(), Number.isFinite(), toLowerCase()
+ *   - Hint: Use Number.isFinite(), toLowerCase(), aur 04-gst-money.js ke
+ *     toDecimal() / roundDivide() - toFixed()/parseFloat() nahi
  *
  * Validation:
  *   - Agar amount positive finite number nahi hai, return null
- *   - Agar category string nahi hai, return null
- *   - Agar category unknown hai, return null
+ *   - Agar amount paise tak round hoke 0 ho jaaye (0.001), return null
+ *   - Agar category string nahi hai, ya aage-peeche space hai (" food "),
+ *     return null
+ *   - Agar category unknown hai (ya code table mein nahi hai), return null
+ *   - Agar state code unknown hai ya GSTIN invalid hai, return null
+ *   - Galat options.date, unknown roundingMode, ya sirf ek state code dene
+ *     pe RangeError
  *
  * @param {number} amount - Base amount before tax
- * @param {string} category - Product category
- * @returns {{ baseAmount: number, gstRate: number, gstAmount: number, totalAmount: number } | null}
+ * @param {string} category - Product category ya HSN/SAC code
+ * @param {{ date?: Date | string, supplierState?: string, recipientState?: string, inclusive?: boolean,
+ *   roundingMode?: "half-up" | "half-even" | "ceil" }} [options]
+ *   - Supply date for dated rates, place of supply ke state codes, kya
+ *   amount tax-inclusive MRP hai, aur paise ki rounding
+ * @returns {{ baseAmount: number, gstRate: number, gstAmount: number, totalAmount: number,
+ *   supplyType?: "intra-state" | "inter-state", components?: Array<{ tax: string, rate: number, amount: number }> } | null}
  *
  * @example
  *   calculateGST(1000, "electronics")
@@ -37,48 +92,161 @@
  *
  *   calculateGST(500, "essential")
  *   // => { baseAmount: 500, gstRate: 0, gstAmount: 0, totalAmount: 500 }
+ *
+ *   calculateGST(10000, "7113")
+ *   // => { baseAmount: 10000, gstRate: 3, gstAmount: 300, totalAmount: 10300 }
+ *
+ *   calculateGST(1000, "electronics", { supplierState: "27", recipientState: "27" })
+ *   // => { baseAmount: 1000, gstRate: 18, gstAmount: 180, totalAmount: 1180,
+ *   //      supplyType: "intra-state", components: [
+ *   //        { tax: "CGST", rate: 9, amount: 90 }, { tax: "SGST", rate: 9, amount: 90 } ] }
+ *
+ *   calculateGST(118, "electronics", { inclusive: true })
+ *   // => { baseAmount: 100, gstRate: 18, gstAmount: 18, totalAmount: 118 }
  */
-export function calculateGST(amount, category) {
-  // Your code here
+export function calculateGST(amount, category, options = {}) {
+  const roundingMode = options?.roundingMode ?? "half-up";
+  assertRoundingMode(roundingMode);
+
+  // 1. Validation: Amount must be a positive finite number
   if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
     return null;
   }
 
-  // 2. Validation: Category must be a string
-  if (typeof category !== 'string') {
+  // 2. Validation: Category must be a string, matched as given (no padding)
+  if (typeof category !== 'string' || category.trim() !== category) {
     return null;
   }
 
-  // 3. Define GST Rates mapping
-  const gstRates = {
-    "essential": 0,
-    "food": 5,
-    "standard": 12,
-    "electronics": 18,
-    "luxury": 28
-  };
+  // 3. Place of supply: both state codes or neither; unknown codes are bad data
+  const { supplierState, recipientState } = options ?? {};
+  if ((supplierState === undefined) !== (recipientState === undefined)) {
+    throw new RangeError("Place of supply needs both supplierState and recipientState, or neither");
+  }
+  const supplier = supplierState === undefined ? null : resolveGSTState(supplierState);
+  const recipient = recipientState === undefined ? null : resolveGSTState(recipientState);
+  if (supplierState !== undefined && (supplier === null || recipient === null)) {
+    return null;
+  }
 
-  // 4. Check if category exists (case-insensitive)
-  const normalizedCategory = category.toLowerCase();
-  if (!(normalizedCategory in gstRates)) {
+  // 4. Tax-inclusive MRP: work the base out backwards, paisa-exact
+  if (options?.inclusive === true) {
+    const bill = reverseGST(amount, category, options.date, roundingMode);
+    return bill === null || supplier === null
+      ? bill
+      : { ...bill, ...splitGST(bill.gstRate, bill.gstAmount, supplier, recipient) };
+  }
+
+  // 5. Look up the rate by category alias or HSN/SAC code (case-insensitive)
+  const match = lookupGSTRate(category, { amount, date: options?.date });
+  if (match === null) {
     return null;
   }
 
-  const gstRate = gstRates[normalizedCategory];
+  // 6. The rate that applies to this amount on this date
+  const gstRate = match.rate;
 
-  // 5. Perform Calculations
-  const rawGstAmount = (amount * gstRate) / 100;
-  const rawTotalAmount = amount + rawGstAmount;
+  // 7. The base is a price, not a tax: settle it to whole paise half-up,
+  // whatever mode the tax uses, and bill on that
+  const base = toDecimal(amount);
+  const rate = toDecimal(gstRate);
+  const basePaise = roundDivide(base.units * 100n, base.scale);
+  if (basePaise === 0n) {
+    return null;
+  }
 
-  // 6. Rounding to 2 decimal places
-  const gstAmount = parseFloat(rawGstAmount.toFixed(2));
-  const totalAmount = parseFloat(rawTotalAmount.toFixed(2));
+  // 8. Round the tax to whole paise once; the total is built from it, so
+  // base + gst is always exactly the total
+  const gstPaise = roundDivide(basePaise * rate.units, rate.scale * 100n, roundingMode);
+  const gstAmount = paiseToRupees(gstPaise);
+  const totalAmount = paiseToRupees(basePaise + gstPaise);
 
-  // 7. Return the formatted billing object
-  return {
-    baseAmount: amount,
+  // 9. Return the formatted billing object
+  const bill = {
+    baseAmount: paiseToRupees(basePaise),
     gstRate: gstRate,
     gstAmount: gstAmount,
     totalAmount: totalAmount
   };
+  if (supplier === null) {
+    return bill;
+  }
+
+  // 10. Split the already rounded tax into its components
+  return { ...bill, ...splitGST(gstRate, gstAmount, supplier, recipient) };
+}
+
+/**
+ * Already rounded GST amount ko place of supply ke hisaab se CGST/SGST
+ * (ya UTGST) aur IGST mein todo - calculateGST wala hi split.
+ *
+ * @param {number} gstRate - Total GST rate
+ * @param {number} gstAmount - Rounded GST amount
+ * @param {string} supplierState - Supplier ka 2-digit state code ya GSTIN
+ * @param {string} recipientState - Place of supply ka 2-digit state code ya GSTIN
+ * @returns {{ supplyType: string, components: Array<{ tax: string, rate: number, amount: number }> } | null}
+ *   null agar koi state code unknown hai
+ */
+export function splitGSTAmount(gstRate, gstAmount, supplierState, recipientState) {
+  const supplier = resolveGSTState(supplierState);
+  const recipient = resolveGSTState(recipientState);
+  return supplier === null || recipient === null ? null : splitGST(gstRate, gstAmount, supplier, recipient);
+}
+
+// MRP includes tax: tax = MRP * rate / (100 + rate), base = MRP - tax, in whole paise
+function reverseGST(amount, category, date, roundingMode) {
+  const mrp = toDecimal(amount);
+  const totalPaise = roundDivide(mrp.units * 100n, mrp.scale);
+  if (totalPaise === 0n) {
+    return null;
+  }
+  const baseRupees = (rate) => paiseToRupees(basePaise(totalPaise, rate, roundingMode));
+
+  // Price-dependent slabs are decided by the base value, which depends on the
+  // rate itself: start from the MRP, re-check against the derived base
+  const first = lookupGSTRate(category, { amount, date });
+  if (first === null) {
+    return null;
+  }
+  const second = lookupGSTRate(category, { amount: baseRupees(first.rate), date });
+  let match = first;
+  if (second !== null && second.rate !== first.rate) {
+    const check = lookupGSTRate(category, { amount: baseRupees(second.rate), date });
+    // Neither slab fits its own base when the MRP falls between slabs: the
+    // lower rate wins, since only it can leave the base inside its slab
+    match = check?.rate === second.rate || second.rate < first.rate ? second : first;
+  }
+
+  const base = basePaise(totalPaise, match.rate, roundingMode);
+  return {
+    baseAmount: paiseToRupees(base),
+    gstRate: match.rate,
+    gstAmount: paiseToRupees(totalPaise - base),
+    totalAmount: paiseToRupees(totalPaise)
+  };
+}
+
+function basePaise(totalPaise, gstRate, roundingMode) {
+  const rate = toDecimal(gstRate);
+  return totalPaise - roundDivide(totalPaise * rate.units, 100n * rate.scale + rate.units, roundingMode);
+}
+
+function splitGST(gstRate, gstAmount, supplier, recipient) {
+  if (supplier.code !== recipient.code) {
+    return {
+      supplyType: "inter-state",
+      components: [{ tax: "IGST", rate: gstRate, amount: gstAmount }]
+    };
+  }
+
+  // Work in whole paise so the halves add back up exactly
+  const paise = Math.round(gstAmount * 100);
+  const central = Math.ceil(paise / 2);
+  return {
+    supplyType: "intra-state",
+    components: [
+      { tax: "CGST", rate: gstRate / 2, amount: central / 100 },
+      { tax: recipient.unionTerritory ? "UTGST" : "SGST", rate: gstRate / 2, amount: (paise - central) / 100 }
+    ]
+  };
 }
\ No newline at end of file
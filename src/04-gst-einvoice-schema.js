@@ -0,0 +1,116 @@
+/**
+ * 📐 GST e-Invoice Schema (INV-01, v1.1) - Offline Copy
+ *
+ * GSTN ke e-invoice JSON schema ka woh hissa jo hum generate karte hain,
+ * JSON Schema (draft-07) format mein. Upload se pehle isi se document check
+ * hota hai, taaki IRP pe reject hone se pehle hi galti pakdi jaaye - bina
+ * network ke.
+ *
+ * Supported keywords (validator bas itne hi samajhta hai):
+ *   type, required, properties, additionalProperties: false, items,
+ *   enum, pattern, minLength, maxLength, minimum, maximum, minItems, maxItems
+ */
+
+const amount = (maximum = 99999999999999.99) => ({ type: "number", minimum: 0, maximum });
+const text = (minLength, maxLength) => ({ type: "string", minLength, maxLength });
+
+const party = (extra = {}, extraRequired = []) => ({
+  type: "object",
+  required: ["Gstin", "LglNm", "Addr1", "Loc", "Pin", "Stcd", ...extraRequired],
+  additionalProperties: false,
+  properties: {
+    Gstin: { type: "string", pattern: "^[0-9]{2}[0-9A-Z]{13}$" },
+    LglNm: text(3, 100),
+    Addr1: text(1, 100),
+    Loc: text(3, 50),
+    Pin: { type: "integer", minimum: 100000, maximum: 999999 },
+    Stcd: { type: "string", pattern: "^[0-9]{1,2}$" },
+    ...extra
+  }
+});
+
+export const EINVOICE_SCHEMA = deepFreeze({
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "GST e-invoice (INV-01) v1.1 - subset",
+  type: "object",
+  required: ["Version", "TranDtls", "DocDtls", "SellerDtls", "BuyerDtls", "ItemList", "ValDtls"],
+  additionalProperties: false,
+  properties: {
+    Version: { type: "string", enum: ["1.1"] },
+    TranDtls: {
+      type: "object",
+      required: ["TaxSch", "SupTyp"],
+      additionalProperties: false,
+      properties: {
+        TaxSch: { type: "string", enum: ["GST"] },
+        SupTyp: { type: "string", enum: ["B2B", "SEZWP", "SEZWOP", "EXPWP", "EXPWOP", "DEXP"] },
+        RegRev: { type: "string", enum: ["Y", "N"] },
+        IgstOnIntra: { type: "string", enum: ["Y", "N"] }
+      }
+    },
+    DocDtls: {
+      type: "object",
+      required: ["Typ", "No", "Dt"],
+      additionalProperties: false,
+      properties: {
+        Typ: { type: "string", enum: ["INV", "CRN", "DBN"] },
+        No: { type: "string", maxLength: 16, pattern: "^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$" },
+        Dt: { type: "string", pattern: "^[0-3][0-9]/[0-1][0-9]/20[0-9]{2}$" }
+      }
+    },
+    SellerDtls: party(),
+    BuyerDtls: party({ Pos: { type: "string", pattern: "^[0-9]{1,2}$" } }, ["Pos"]),
+    ItemList: {
+      type: "array",
+      minItems: 1,
+      maxItems: 1000,
+      items: {
+        type: "object",
+        required: ["SlNo", "IsServc", "HsnCd", "UnitPrice", "TotAmt", "AssAmt", "GstRt", "TotItemVal"],
+        additionalProperties: false,
+        properties: {
+          SlNo: { type: "string", pattern: "^[0-9]{1,6}$" },
+          PrdDesc: text(3, 300),
+          IsServc: { type: "string", enum: ["Y", "N"] },
+          HsnCd: { type: "string", pattern: "^[0-9]{4,8}$" },
+          Qty: amount(),
+          Unit: text(3, 8),
+          UnitPrice: amount(),
+          TotAmt: amount(),
+          Discount: amount(),
+          AssAmt: amount(),
+          GstRt: { type: "number", enum: [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40] },
+          IgstAmt: amount(),
+          CgstAmt: amount(),
+          SgstAmt: amount(),
+          CesRt: { type: "number", minimum: 0, maximum: 100 },
+          CesAmt: amount(),
+          TotItemVal: amount()
+        }
+      }
+    },
+    ValDtls: {
+      type: "object",
+      required: ["AssVal", "TotInvVal"],
+      additionalProperties: false,
+      properties: {
+        AssVal: amount(),
+        CgstVal: amount(),
+        SgstVal: amount(),
+        IgstVal: amount(),
+        CesVal: amount(),
+        Discount: amount(),
+        RndOffAmt: { type: "number", minimum: -99.99, maximum: 99.99 },
+        TotInvVal: amount()
+      }
+    }
+  }
+});
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
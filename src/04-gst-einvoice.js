@@ -0,0 +1,426 @@
+import { createHash, createPrivateKey, createPublicKey, KeyObject, sign, verify } from 'node:crypto';
+import { splitGSTAmount } from './04-gst-calculator.js';
+import { EINVOICE_SCHEMA } from './04-gst-einvoice-schema.js';
+import { lookupGSTRate } from './04-gst-rates.js';
+import { getGSTState } from './04-gst-states.js';
+import { validateGSTIN } from './04-gstin-validator.js';
+
+/**
+ * 📤 GST e-Invoice Exporter - IRN JSON aur Signed QR
+ *
+ * Turnover limit ke upar wale businesses ko har B2B invoice GSTN ke
+ * e-invoice JSON schema mein IRP pe upload karna padta hai, aur bill pe
+ * signed QR code chhapna padta hai. Yeh module Bunty ke bill ko (calculateGST
+ * ya buildGSTInvoice ka output) usi schema mein badalta hai, bundled schema
+ * se offline check karta hai, aur local test key se QR sign karta hai.
+ *
+ * buildEInvoice(bill, details):
+ *   - bill: calculateGST ka result (ek item - details.item se HSN/qty) ya
+ *     buildGSTInvoice ka result (har line ek item)
+ *   - details: {
+ *       seller: { gstin, legalName, address, location, pincode },
+ *       buyer:  { gstin, legalName, address, location, pincode, placeOfSupply? },
+ *       document: { number: "INV/2025/001", date: "2025-10-18", type?: "INV" },
+ *       item?: { description, hsn, quantity?: 1, unit? }   // sirf calculateGST bill ke liye
+ *     }
+ *   - State code GSTIN ke pehle 2 digits se; place of supply default buyer
+ *     ka state. CGST/SGST ya IGST split isi se hota hai (bill ke apne
+ *     supplierState/recipientState se nahi)
+ *   - HSN "99" se shuru (SAC) => IsServc "Y", unit "OTH"; goods ka unit "NOS"
+ *   - Supply type hamesha "B2B"
+ *   - Har item ka GST rate document ki date pe laagu rate se match hona
+ *     chahiye - purani rate table pe bana bill RATE_NOT_IN_FORCE error deta
+ *     hai (path "ItemList[0].GstRt"); bill aur document ki date same rakho
+ *   - Result: { document, errors } - errors khaali hai toh document
+ *     schema-valid hai. Har error: { path: "ItemList[0].HsnCd", reason }
+ *   - bill pehchaan mein nahi aaya => null
+ *
+ * validateEInvoice(document):
+ *   - Bundled schema se check, errors ki list (valid => [])
+ *   - Reasons: MISSING_FIELD, UNKNOWN_FIELD, TYPE_MISMATCH, NOT_IN_ENUM,
+ *     PATTERN_MISMATCH, TOO_SHORT, TOO_LONG, BELOW_MINIMUM, ABOVE_MAXIMUM,
+ *     TOO_FEW_ITEMS, TOO_MANY_ITEMS (buildEInvoice unknown state code pe
+ *     UNKNOWN_STATE, galat GSTIN pe validateGSTIN ka pehla reason, aur
+ *     RATE_NOT_IN_FORCE bhi deta hai)
+ *
+ * signEInvoiceQR(document, privateKey, { irnDate, issuer }):
+ *   - IRN = SHA-256 hex of seller GSTIN + financial year ("2025-26") +
+ *     document type + document number
+ *   - QR data: SellerGstin, BuyerGstin, DocNo, DocTyp, DocDt, TotInvVal,
+ *     ItemCnt, MainHsnCode (sabse bade AssAmt wali line), Irn, IrnDt
+ *   - signedQr = RS256 JWT { data: qrPayload, iss } - IRP jaisa format,
+ *     lekin caller ki test key se
+ *   - Schema-invalid document => RangeError; key RSA private key (PEM ya
+ *     KeyObject) nahi hai => TypeError
+ *
+ * @example
+ *   const { document, errors } = buildEInvoice(buildGSTInvoice(cart), details);
+ *   // errors => []
+ *   const { irn, qrPayload, signedQr } = signEInvoiceQR(document, testPrivateKeyPem);
+ */
+export function buildEInvoice(bill, details) {
+  // 1. Validation: only bills from calculateGST or buildGSTInvoice
+  const items = toItems(bill, details?.item);
+  if (items === null) {
+    return null;
+  }
+
+  const { seller = {}, buyer = {}, document: doc = {} } = details ?? {};
+  const sellerState = stateOf(seller.gstin);
+  const placeOfSupply = buyer.placeOfSupply ?? stateOf(buyer.gstin);
+
+  // 2. Items, each split into CGST/SGST or IGST by place of supply
+  const itemList = items.map(item => ({
+    SlNo: String(item.number),
+    PrdDesc: item.description || undefined,
+    IsServc: item.hsn.startsWith("99") ? "Y" : "N",
+    HsnCd: item.hsn,
+    Qty: item.quantity,
+    Unit: item.unit ?? (item.hsn.startsWith("99") ? "OTH" : "NOS"),
+    UnitPrice: item.unitPrice,
+    TotAmt: item.grossAmount,
+    Discount: item.discount,
+    AssAmt: item.taxableValue,
+    GstRt: item.gstRate,
+    ...taxColumns(item.gstRate, item.gstAmount, sellerState, placeOfSupply, "Amt"),
+    CesRt: item.cessRate,
+    CesAmt: item.cessAmount,
+    TotItemVal: item.total
+  }));
+
+  // 3. Invoice-level values, split from the bill's own rate summary
+  const { summary, totals } = toValues(bill);
+  const split = summary
+    .map(row => taxColumns(row.gstRate, row.gstAmount, sellerState, placeOfSupply, "Val"))
+    .reduce((sum, row) => ({
+      IgstVal: sum.IgstVal + Math.round(row.IgstVal * 100),
+      CgstVal: sum.CgstVal + Math.round(row.CgstVal * 100),
+      SgstVal: sum.SgstVal + Math.round(row.SgstVal * 100)
+    }), { IgstVal: 0, CgstVal: 0, SgstVal: 0 });
+
+  const document = withoutUndefined({
+    Version: "1.1",
+    TranDtls: { TaxSch: "GST", SupTyp: "B2B", RegRev: "N", IgstOnIntra: "N" },
+    DocDtls: { Typ: doc.type ?? "INV", No: doc.number, Dt: toDocumentDate(doc.date) },
+    SellerDtls: toParty(seller, sellerState),
+    BuyerDtls: { ...toParty(buyer, stateOf(buyer.gstin)), Pos: placeOfSupply },
+    ItemList: itemList,
+    ValDtls: {
+      AssVal: totals.taxableValue,
+      CgstVal: split.CgstVal / 100,
+      SgstVal: split.SgstVal / 100,
+      IgstVal: split.IgstVal / 100,
+      CesVal: totals.cess,
+      RndOffAmt: totals.roundOff,
+      TotInvVal: totals.grandTotal
+    }
+  });
+
+  // 4. Offline schema check, plus GSTIN checksums and state codes the schema cannot know about
+  const errors = validateEInvoice(document);
+  [["SellerDtls.Gstin", seller.gstin], ["BuyerDtls.Gstin", buyer.gstin]]
+    .filter(([, gstin]) => typeof gstin === 'string')
+    .forEach(([path, gstin]) => {
+      const [first] = validateGSTIN(gstin).errors;
+      if (first) {
+        errors.push({ path, reason: first.reason });
+      }
+    });
+  if (sellerState !== undefined && getGSTState(sellerState) === null) {
+    errors.push({ path: "SellerDtls.Stcd", reason: "UNKNOWN_STATE" });
+  }
+  if (placeOfSupply !== undefined && getGSTState(placeOfSupply) === null) {
+    errors.push({ path: "BuyerDtls.Pos", reason: "UNKNOWN_STATE" });
+  }
+
+  // 5. Rates must be the ones in force on the document date: a bill priced
+  // on an older rate table is not a valid invoice for today
+  const rateDate = toRateDate(doc.date);
+  if (rateDate !== null) {
+    items.forEach((item, index) => {
+      const match = lookupGSTRate(item.hsn, { amount: item.taxableValue / item.quantity, date: rateDate });
+      if (match !== null && match.rate !== item.gstRate) {
+        errors.push({ path: `ItemList[${index}].GstRt`, reason: "RATE_NOT_IN_FORCE" });
+      }
+    });
+  }
+
+  return { document, errors };
+}
+
+/**
+ * e-Invoice document ko bundled INV-01 schema se check karo.
+ *
+ * @param {object} document - buildEInvoice ka document (ya koi bhi JSON)
+ * @returns {Array<{ path: string, reason: string }>} Errors; valid hai toh []
+ */
+export function validateEInvoice(document) {
+  const errors = [];
+  validateNode(EINVOICE_SCHEMA, document, "", errors);
+  return errors;
+}
+
+/**
+ * IRN nikaalo aur QR payload ko local test key se sign karo.
+ *
+ * @param {object} document - Schema-valid e-invoice document
+ * @param {string | KeyObject} privateKey - RSA private key (PEM ya KeyObject)
+ * @param {{ irnDate?: Date, issuer?: string }} [options] - IRN ka time
+ *   (default abhi) aur JWT issuer (default "LOCAL-TEST")
+ * @returns {{ irn: string, qrPayload: string, signedQr: string }}
+ */
+export function signEInvoiceQR(document, privateKey, options = {}) {
+  const { irnDate = new Date(), issuer = "LOCAL-TEST" } = options ?? {};
+  const key = toRsaKey(privateKey, "private");
+
+  // 1. Only schema-valid documents get an IRN
+  const errors = validateEInvoice(document);
+  if (errors.length > 0) {
+    throw new RangeError(`e-invoice document is invalid: ${errors[0].path} ${errors[0].reason}`);
+  }
+
+  // 2. IRN: hash of who issued which document in which financial year
+  const { SellerDtls, BuyerDtls, DocDtls, ItemList, ValDtls } = document;
+  const irn = createHash("sha256")
+    .update(`${SellerDtls.Gstin}${financialYear(DocDtls.Dt)}${DocDtls.Typ}${DocDtls.No}`)
+    .digest("hex");
+
+  // 3. QR data, with the HSN of the biggest line as the main one
+  const mainItem = ItemList.reduce((best, item) => (item.AssAmt > best.AssAmt ? item : best));
+  const qrPayload = JSON.stringify({
+    SellerGstin: SellerDtls.Gstin,
+    BuyerGstin: BuyerDtls.Gstin,
+    DocNo: DocDtls.No,
+    DocTyp: DocDtls.Typ,
+    DocDt: DocDtls.Dt,
+    TotInvVal: ValDtls.TotInvVal,
+    ItemCnt: ItemList.length,
+    MainHsnCode: mainItem.HsnCd,
+    Irn: irn,
+    IrnDt: toIrnDate(irnDate)
+  });
+
+  // 4. RS256 JWT, the shape the IRP prints
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+  const claims = base64url(JSON.stringify({ data: qrPayload, iss: issuer }));
+  const signature = sign("sha256", Buffer.from(`${header}.${claims}`), key).toString("base64url");
+
+  return { irn, qrPayload, signedQr: `${header}.${claims}.${signature}` };
+}
+
+/**
+ * Signed QR ko public key se verify karo.
+ *
+ * @param {string} signedQr - signEInvoiceQR ka signedQr
+ * @param {string | KeyObject} publicKey - Matching RSA public key
+ * @returns {object | null} QR data, ya null agar signature/format galat hai
+ */
+export function verifyEInvoiceQR(signedQr, publicKey) {
+  const key = toRsaKey(publicKey, "public");
+  if (typeof signedQr !== 'string') {
+    return null;
+  }
+
+  const parts = signedQr.split(".");
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const [header, claims, signature] = parts;
+    if (!verify("sha256", Buffer.from(`${header}.${claims}`), key, Buffer.from(signature, "base64url"))) {
+      return null;
+    }
+    return JSON.parse(JSON.parse(Buffer.from(claims, "base64url").toString("utf8")).data);
+  } catch {
+    return null;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const base64url = (text) => Buffer.from(text, "utf8").toString("base64url");
+
+function stateOf(gstin) {
+  return typeof gstin === 'string' ? gstin.slice(0, 2) : undefined;
+}
+
+function toParty(party, state) {
+  return {
+    Gstin: party.gstin,
+    LglNm: party.legalName,
+    Addr1: party.address,
+    Loc: party.location,
+    Pin: party.pincode === undefined ? undefined : Number(party.pincode),
+    Stcd: state
+  };
+}
+
+// Both bill shapes become the same list of items
+function toItems(bill, item) {
+  if (bill && Array.isArray(bill.lines) && bill.totals) {
+    return bill.lines.map(line => ({
+      number: line.line,
+      description: line.description,
+      hsn: line.code,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      grossAmount: line.grossAmount,
+      discount: line.discount,
+      taxableValue: line.taxableValue,
+      gstRate: line.gstRate,
+      gstAmount: line.gstAmount,
+      cessRate: line.cessRate,
+      cessAmount: line.cessAmount,
+      total: line.lineTotal
+    }));
+  }
+
+  if (bill && typeof bill.baseAmount === 'number' && typeof bill.gstAmount === 'number') {
+    const quantity = item?.quantity ?? 1;
+    return [{
+      number: 1,
+      description: item?.description,
+      hsn: typeof item?.hsn === 'string' ? item.hsn : "",
+      quantity,
+      unit: item?.unit,
+      unitPrice: round2(bill.baseAmount / quantity),
+      grossAmount: bill.baseAmount,
+      discount: 0,
+      taxableValue: bill.baseAmount,
+      gstRate: bill.gstRate,
+      gstAmount: bill.gstAmount,
+      cessRate: 0,
+      cessAmount: 0,
+      total: bill.totalAmount
+    }];
+  }
+
+  return null;
+}
+
+function toValues(bill) {
+  if (Array.isArray(bill.taxSummary)) {
+    return { summary: bill.taxSummary, totals: bill.totals };
+  }
+  return {
+    summary: [{ gstRate: bill.gstRate, gstAmount: bill.gstAmount }],
+    totals: { taxableValue: bill.baseAmount, cess: 0, roundOff: 0, grandTotal: bill.totalAmount }
+  };
+}
+
+// e-invoice wants IGST, CGST and SGST (SGST also carries UTGST) as columns
+function taxColumns(gstRate, gstAmount, supplierState, placeOfSupply, suffix) {
+  const columns = { [`Igst${suffix}`]: 0, [`Cgst${suffix}`]: 0, [`Sgst${suffix}`]: 0 };
+  const split = splitGSTAmount(gstRate, gstAmount, supplierState, placeOfSupply);
+  split?.components.forEach(({ tax, amount }) => {
+    const column = tax === "IGST" ? "Igst" : tax === "CGST" ? "Cgst" : "Sgst";
+    columns[`${column}${suffix}`] = amount;
+  });
+  return columns;
+}
+
+function toDocumentDate(date) {
+  if (date instanceof Date && !Number.isNaN(date.getTime())) {
+    const day = String(date.getDate()).padStart(2, "0");
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    return `${day}/${month}/${date.getFullYear()}`;
+  }
+  const match = typeof date === 'string' ? date.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  return match ? `${match[3]}/${match[2]}/${match[1]}` : date;
+}
+
+// Document date for the rate table, or null when it is not a date (the
+// schema check already reports that)
+function toRateDate(date) {
+  if (date instanceof Date) {
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return typeof date === 'string' && /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(date) ? date : null;
+}
+
+function toIrnDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// "18/10/2025" => "2025-26"; the financial year starts on 1 April
+function financialYear(documentDate) {
+  const [, month, year] = documentDate.split("/").map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+function withoutUndefined(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function toRsaKey(key, kind) {
+  let keyObject = key;
+  if (typeof key === 'string') {
+    try {
+      keyObject = kind === "private" ? createPrivateKey(key) : createPublicKey(key);
+    } catch {
+      throw new TypeError(`Signing key must be a PEM encoded RSA ${kind} key`);
+    }
+  }
+  if (!(keyObject instanceof KeyObject) || keyObject.asymmetricKeyType !== "rsa" ||
+      (kind === "private" && keyObject.type !== "private")) {
+    throw new TypeError(`Signing key must be an RSA ${kind} key`);
+  }
+  return keyObject;
+}
+
+const TYPE_CHECKS = {
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value)
+};
+
+// Just enough of JSON Schema for the bundled e-invoice schema
+function validateNode(schema, value, path, errors) {
+  const fail = (reason) => errors.push({ path, reason });
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    fail("TYPE_MISMATCH");
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail("NOT_IN_ENUM");
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail("TOO_SHORT");
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail("TOO_LONG");
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail("PATTERN_MISMATCH");
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail("BELOW_MINIMUM");
+    if (schema.maximum !== undefined && value > schema.maximum) fail("ABOVE_MAXIMUM");
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail("TOO_FEW_ITEMS");
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail("TOO_MANY_ITEMS");
+    if (schema.items) {
+      value.forEach((entry, index) => validateNode(schema.items, entry, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === "object") {
+    const child = (key) => (path === "" ? key : `${path}.${key}`);
+    (schema.required ?? [])
+      .filter(key => !Object.hasOwn(value, key))
+      .forEach(key => errors.push({ path: child(key), reason: "MISSING_FIELD" }));
+    Object.keys(value).forEach(key => {
+      if (schema.properties && Object.hasOwn(schema.properties, key)) {
+        validateNode(schema.properties[key], value[key], child(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child(key), reason: "UNKNOWN_FIELD" });
+      }
+    });
+  }
+}
@@ -0,0 +1,273 @@
+import { lookupGSTRate } from './04-gst-rates.js';
+import { splitGSTAmount } from './04-gst-calculator.js';
+import { resolveGSTState } from './04-gstin-validator.js';
+import { assertRoundingMode, paiseToRupees, roundDivide, toDecimal } from './04-gst-money.js';
+
+/**
+ * 🧾 GST Invoice Builder - Poori Cart ka Bill
+ *
+ * Bunty ka calculator ek amount pe GST nikaalta hai, lekin customer poori
+ * cart le ke aata hai: 3 T-shirt, 1 cold drink, 2 kilo chawal. Har line ka
+ * apna HSN code, discount aur kabhi-kabhi compensation cess hota hai. Yeh
+ * builder poore bill ko line-wise aur rate-wise jodta hai aur print ke liye
+ * totals block deta hai.
+ *
+ * Line shape:
+ *   {
+ *     description: "Cotton T-shirt",   // optional
+ *     hsn: "6109",                     // ya category: "food" - calculateGST jaisa
+ *     quantity: 3,                     // positive, fractional bhi (1.5 kg)
+ *     unitPrice: 799,                  // tax ke bina, positive
+ *     discount: 100,                   // optional, line pe rupees off
+ *     discountPercent: 10,             // optional, 0-100 (discount ke saath nahi)
+ *     cessRate: 12                     // optional compensation cess %, taxable value pe
+ *   }
+ *
+ * Rules:
+ *   - grossAmount = quantity * unitPrice, taxableValue = gross - discount
+ *   - Rate lookupGSTRate se, price-dependent slab ek unit ki taxable value
+ *     se decide hota hai (3 T-shirt Rs 799 ki => 5%, Rs 2397 wala 12% nahi)
+ *   - Place of supply options.supplierState/recipientState se (state code
+ *     ya GSTIN) - calculateGST jaisa CGST+SGST/UTGST ya IGST split,
+ *     rate-wise summary pe
+ *   - options.rounding:
+ *       "invoice" (default) => har rate ka tax (aur cess) poore invoice pe
+ *                              ek baar paise mein round hota hai
+ *       "line"              => har line ka tax paise mein round, summary
+ *                              un rounded amounts ka sum
+ *     "invoice" mode mein line ke amounts sirf display ke liye hain; unka
+ *     sum summary se ek-do paisa alag ho sakta hai
+ *   - options.roundingMode: tax aur cess ka paisa kaise round ho - "half-up"
+ *     (default), "half-even" ya "ceil", calculateGST jaisa. Gross aur
+ *     discount hamesha half-up - "ceil" se price ya discount nahi badhta
+ *   - Round off: grand total nearest rupee tak (hamesha half-up), farak
+ *     totals.roundOff mein alag line ki tarah (options.roundOff = false se band)
+ *   - Hisaab calculateGST jaisa 04-gst-money.js ke exact BigInt paise mein:
+ *     gross, discount aur tax exact fractions hain, round sirf ek baar hota
+ *     hai - float ka drift sau lines pe bhi nahi jud-ta. Output rupees mein
+ *
+ * Validation:
+ *   - Lines array nahi hai ya khaali hai => null
+ *   - Koi bhi line galat (quantity/price, unknown HSN, discount > gross,
+ *     galat cessRate) => null - aadha bill nahi banta
+ *   - Unknown state code ya invalid GSTIN => null
+ *   - Unknown options.rounding / roundingMode, ya sirf ek state code => RangeError
+ *
+ * @param {Array<object>} lines - Cart line items
+ * @param {{ rounding?: "invoice" | "line", roundingMode?: "half-up" | "half-even" | "ceil",
+ *   roundOff?: boolean, date?: Date | string, supplierState?: string, recipientState?: string }} [options]
+ * @returns {{ supplyType: string | null, lines: Array<object>, taxSummary: Array<object>,
+ *   totals: object } | null} Print-ready invoice
+ *
+ * @example
+ *   buildGSTInvoice([
+ *     { description: "T-shirt", hsn: "6109", quantity: 2, unitPrice: 500 },
+ *     { description: "Cola", hsn: "2202", quantity: 1, unitPrice: 40, cessRate: 12 }
+ *   ], { supplierState: "27", recipientState: "27", date: "2025-01-01" }).totals
+ *   // => { grossAmount: 1040, discount: 0, taxableValue: 1040, cgst: 30.6,
+ *   //      sgst: 30.6, utgst: 0, igst: 0, gstAmount: 61.2, cess: 4.8,
+ *   //      totalTax: 66, roundOff: 0, grandTotal: 1106 }
+ */
+export function buildGSTInvoice(lines, options = {}) {
+  const {
+    rounding = "invoice",
+    roundingMode = "half-up",
+    roundOff = true,
+    date = new Date(),
+    supplierState,
+    recipientState
+  } = options ?? {};
+
+  // 1. Options are the caller's responsibility
+  if (!ROUNDING_SCOPES.includes(rounding)) {
+    throw new RangeError(`Unknown rounding: "${rounding}"`);
+  }
+  assertRoundingMode(roundingMode);
+  if ((supplierState === undefined) !== (recipientState === undefined)) {
+    throw new RangeError("Place of supply needs both supplierState and recipientState, or neither");
+  }
+
+  // 2. Validation: a non-empty cart with known states
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return null;
+  }
+  const hasPlaceOfSupply = supplierState !== undefined;
+  const supplier = hasPlaceOfSupply ? resolveGSTState(supplierState) : null;
+  const recipient = hasPlaceOfSupply ? resolveGSTState(recipientState) : null;
+  if (hasPlaceOfSupply && (supplier === null || recipient === null)) {
+    return null;
+  }
+
+  // 3. Work every line out in paise; one bad line spoils the whole bill
+  const computed = lines.map((line, index) => computeLine(line, index + 1, date));
+  if (computed.includes(null)) {
+    return null;
+  }
+
+  // 4. Group by GST rate and round per the chosen mode: exact fractions are
+  // summed and rounded once per rate, or rounded line by line
+  const toPaise = (exact) => roundDivide(exact.numerator, exact.denominator, roundingMode);
+  const asExact = (paise) => ({ numerator: paise, denominator: 1n });
+  const groups = new Map();
+  computed.forEach(line => {
+    const group = groups.get(line.gstRate) ?? { taxable: 0n, gst: asExact(0n), cess: asExact(0n) };
+    group.taxable += line.taxablePaise;
+    group.gst = addExact(group.gst, rounding === "line" ? asExact(toPaise(line.exactGst)) : line.exactGst);
+    group.cess = addExact(group.cess, rounding === "line" ? asExact(toPaise(line.exactCess)) : line.exactCess);
+    groups.set(line.gstRate, group);
+  });
+
+  const taxSummary = [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([gstRate, group]) => {
+      const gstAmount = paiseToRupees(toPaise(group.gst));
+      const split = hasPlaceOfSupply
+        ? splitGSTAmount(gstRate, gstAmount, supplier.code, recipient.code)
+        : null;
+      return {
+        gstRate,
+        taxableValue: paiseToRupees(group.taxable),
+        gstAmount,
+        components: split === null ? [] : split.components,
+        cessAmount: paiseToRupees(toPaise(group.cess))
+      };
+    });
+
+  // 5. Totals block, with the rupee round-off as its own line
+  const sum = (values) => values.reduce((total, value) => total + BigInt(Math.round(value * 100)), 0n);
+  const componentTotal = (tax) => sum(taxSummary.flatMap(row =>
+    row.components.filter(component => component.tax === tax).map(component => component.amount)
+  ));
+
+  const grossPaise = computed.reduce((total, line) => total + line.grossPaise, 0n);
+  const taxablePaise = computed.reduce((total, line) => total + line.taxablePaise, 0n);
+  const gstPaise = sum(taxSummary.map(row => row.gstAmount));
+  const cessPaise = sum(taxSummary.map(row => row.cessAmount));
+  const invoicePaise = taxablePaise + gstPaise + cessPaise;
+  const grandPaise = roundOff ? roundDivide(invoicePaise, 100n) * 100n : invoicePaise;
+
+  return {
+    supplyType: hasPlaceOfSupply ? (supplier.code === recipient.code ? "intra-state" : "inter-state") : null,
+    lines: computed.map(line => toPrintedLine(line, toPaise)),
+    taxSummary,
+    totals: {
+      grossAmount: paiseToRupees(grossPaise),
+      discount: paiseToRupees(grossPaise - taxablePaise),
+      taxableValue: paiseToRupees(taxablePaise),
+      cgst: paiseToRupees(componentTotal("CGST")),
+      sgst: paiseToRupees(componentTotal("SGST")),
+      utgst: paiseToRupees(componentTotal("UTGST")),
+      igst: paiseToRupees(componentTotal("IGST")),
+      gstAmount: paiseToRupees(gstPaise),
+      cess: paiseToRupees(cessPaise),
+      totalTax: paiseToRupees(gstPaise + cessPaise),
+      roundOff: paiseToRupees(grandPaise - invoicePaise),
+      grandTotal: paiseToRupees(grandPaise)
+    }
+  };
+}
+
+const ROUNDING_SCOPES = ["invoice", "line"];
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+function computeLine(line, number, date) {
+  if (!line || typeof line !== 'object' || !isPositive(line.quantity) || !isPositive(line.unitPrice)) {
+    return null;
+  }
+
+  const quantity = toDecimal(line.quantity);
+  const unitPrice = toDecimal(line.unitPrice);
+  // Prices settle to whole paise half-up, like calculateGST's base;
+  // roundingMode is only for tax and cess
+  const grossPaise = roundDivide(quantity.units * unitPrice.units * 100n, quantity.scale * unitPrice.scale);
+
+  // Discount: a rupee amount or a percentage, never both
+  let discountPaise = 0n;
+  if (line.discount !== undefined && line.discountPercent !== undefined) {
+    return null;
+  }
+  if (line.discount !== undefined) {
+    if (typeof line.discount !== 'number' || !Number.isFinite(line.discount) || line.discount < 0) {
+      return null;
+    }
+    const discount = toDecimal(line.discount);
+    discountPaise = roundDivide(discount.units * 100n, discount.scale);
+  } else if (line.discountPercent !== undefined) {
+    if (!isRate(line.discountPercent)) {
+      return null;
+    }
+    const percent = toDecimal(line.discountPercent);
+    discountPaise = roundDivide(grossPaise * percent.units, 100n * percent.scale);
+  }
+  if (discountPaise > grossPaise) {
+    return null;
+  }
+
+  const cessRate = line.cessRate ?? 0;
+  if (!isRate(cessRate)) {
+    return null;
+  }
+
+  // Slab by the value of one unit after discount
+  const code = line.hsn ?? line.category;
+  const taxablePaise = grossPaise - discountPaise;
+  const match = lookupGSTRate(code, { amount: paiseToRupees(taxablePaise) / line.quantity, date });
+  if (match === null) {
+    return null;
+  }
+
+  return {
+    line: number,
+    description: typeof line.description === 'string' ? line.description : "",
+    code: match.code,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    grossPaise,
+    taxablePaise,
+    gstRate: match.rate,
+    cessRate,
+    exactGst: percentOf(taxablePaise, match.rate),
+    exactCess: percentOf(taxablePaise, cessRate)
+  };
+}
+
+// paise * rate / 100 as an exact fraction of paise
+function percentOf(paise, rate) {
+  const { units, scale } = toDecimal(rate);
+  return { numerator: paise * units, denominator: 100n * scale };
+}
+
+// Denominators are 1 or 100 * 10^k, so one usually divides the other
+function addExact(a, b) {
+  const [small, large] = a.denominator <= b.denominator ? [a, b] : [b, a];
+  if (large.denominator % small.denominator === 0n) {
+    const factor = large.denominator / small.denominator;
+    return { numerator: small.numerator * factor + large.numerator, denominator: large.denominator };
+  }
+  return {
+    numerator: a.numerator * b.denominator + b.numerator * a.denominator,
+    denominator: a.denominator * b.denominator
+  };
+}
+
+function toPrintedLine(line, toPaise) {
+  const gstPaise = toPaise(line.exactGst);
+  const cessPaise = toPaise(line.exactCess);
+  return {
+    line: line.line,
+    description: line.description,
+    code: line.code,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    grossAmount: paiseToRupees(line.grossPaise),
+    discount: paiseToRupees(line.grossPaise - line.taxablePaise),
+    taxableValue: paiseToRupees(line.taxablePaise),
+    gstRate: line.gstRate,
+    gstAmount: paiseToRupees(gstPaise),
+    cessRate: line.cessRate,
+    cessAmount: paiseToRupees(cessPaise),
+    lineTotal: paiseToRupees(line.taxablePaise + gstPaise + cessPaise)
+  };
+}
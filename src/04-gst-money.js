@@ -0,0 +1,91 @@
+/**
+ * 💰 GST Money - Paise mein Exact Hisaab
+ *
+ * Float maths mein 1.005 asal mein 1.00499999... hai, toh
+ * parseFloat((1.005).toFixed(2)) 1 deta hai, 1.01 nahi. Aur sau lines ka
+ * tax jodo toh totals thoda-thoda khisakta hai. Isliye GST ka hisaab
+ * BigInt mein hota hai: har number ko uske exact decimal form mein lo
+ * (jaisa JavaScript use print karta hai), fraction bana ke rakho, aur sirf
+ * end mein ek baar paise tak round karo.
+ *
+ * Rounding modes (sirf positive amounts ke liye):
+ *   - "half-up"   => .5 paisa upar (default, purana behaviour): 1.005 => 1.01
+ *   - "half-even" => .5 paisa even paise ki taraf (banker's): 1.005 => 1.00,
+ *                    1.015 => 1.02
+ *   - "ceil"      => koi bhi fraction upar: 1.001 => 1.01
+ *
+ * Helpers:
+ *   - toDecimal(75.5)     => { units: 755n, scale: 10n } (75.5 = 755 / 10)
+ *   - roundDivide(n, d)   => n / d ko mode ke hisaab se BigInt mein round
+ *   - paiseToRupees(2114n) => 21.14
+ */
+
+export const ROUNDING_MODES = Object.freeze(["half-up", "half-even", "ceil"]);
+
+/**
+ * Unknown rounding mode caller ki galti hai.
+ *
+ * @param {string} mode - Rounding mode
+ * @throws {RangeError} Agar mode ROUNDING_MODES mein nahi hai
+ */
+export function assertRoundingMode(mode) {
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new RangeError(`Unknown rounding mode: "${mode}"`);
+  }
+}
+
+/**
+ * Finite number ko exact decimal fraction mein badlo.
+ *
+ * @param {number} value - Finite number, e.g. 999.99 ya 1e-7
+ * @returns {{ units: bigint, scale: bigint }} value === units / scale
+ */
+export function toDecimal(value) {
+  const [mantissa, exponentText = "0"] = String(value).toLowerCase().split("e");
+  const [whole, fraction = ""] = mantissa.split(".");
+  const exponent = Number(exponentText) - fraction.length;
+
+  const units = BigInt(`${whole}${fraction}`);
+  return exponent >= 0
+    ? { units: units * 10n ** BigInt(exponent), scale: 1n }
+    : { units, scale: 10n ** BigInt(-exponent) };
+}
+
+/**
+ * numerator / denominator ko integer tak round karo.
+ *
+ * @param {bigint} numerator - Non-negative
+ * @param {bigint} denominator - Positive
+ * @param {string} [mode] - "half-up" | "half-even" | "ceil"
+ * @returns {bigint} Rounded quotient
+ */
+export function roundDivide(numerator, denominator, mode = "half-up") {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  if (mode === "ceil") {
+    return quotient + 1n;
+  }
+  const twice = remainder * 2n;
+  if (twice > denominator) {
+    return quotient + 1n;
+  }
+  if (twice < denominator) {
+    return quotient;
+  }
+  // Exactly half a paisa
+  return mode === "half-even" && quotient % 2n === 0n ? quotient : quotient + 1n;
+}
+
+/**
+ * Paise (BigInt) ko rupees (number) mein badlo.
+ *
+ * @param {bigint} paise - Amount in paise
+ * @returns {number} Rupees, e.g. 2114n => 21.14
+ */
+export function paiseToRupees(paise) {
+  return Number(paise) / 100;
+}
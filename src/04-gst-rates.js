@@ -0,0 +1,168 @@
+/**
+ * 📚 GST Rate Table - HSN/SAC Code se Rate Nikaalo
+ *
+ * Bunty ke calculator ko sirf paanch category words pata hain. Asli bill
+ * pe har product ka HSN code (goods) ya SAC code (services) hota hai, aur
+ * rate usi se decide hota hai. Kuch rates price pe depend karte hain
+ * (kapde Rs 1000 tak 5%, upar 12%), aur rates time ke saath badalte hain
+ * (22 Sep 2025 ka GST rate rationalisation) - isliye har slab ki effective
+ * dates hain.
+ *
+ * Lookup rules (lookupGSTRate):
+ *   - Code ke spaces/dots hatao: "6109.10.00" => "61091000"
+ *   - HSN 2, 4, 6 ya 8 digits ka hota hai; SAC 6 digits, "99" se shuru
+ *   - Table mein sabse lamba matching prefix jeetta hai: "61091000" ke liye
+ *     "6109" ka entry lagega agar 8-digit entry nahi hai
+ *   - Entry ke slabs mein se pehla slab jo date pe active hai aur jiska
+ *     upTo amount ko cover karta hai (amount <= upTo, ya upTo hai hi nahi)
+ *   - amount = ek unit ki value (apparel/hotel slabs per piece/per night hain)
+ *   - Purane category words ("essential", "food", "standard",
+ *     "electronics", "luxury") aliases hain - unke fixed rates hain aur
+ *     date/amount se farak nahi padta
+ *
+ * Slab shape:
+ *   { rate: 5, upTo: 1000, from: "2017-07-01", to: "2025-09-21" }
+ *   - from/to dono inclusive, "YYYY-MM-DD"; to na ho toh aaj tak valid
+ *
+ * Validation:
+ *   - Code/category string nahi hai, galat format hai ya table mein nahi
+ *     hai => null
+ *   - options.date galat hai => RangeError (caller ki galti)
+ *
+ * @param {string} codeOrCategory - HSN/SAC code ya category alias
+ * @param {{ amount?: number, date?: Date | string }} [options] - Unit value
+ *   (price-dependent slabs ke liye) aur supply ki date (default aaj)
+ * @returns {{ code: string, description: string, rate: number } | null}
+ *
+ * @example
+ *   lookupGSTRate("6109", { amount: 799, date: "2024-03-01" })
+ *   // => { code: "6109", description: "T-shirts and vests, knitted", rate: 5 }
+ *
+ *   lookupGSTRate("7102")
+ *   // => { code: "7102", description: "Diamonds, unset", rate: 0.25 }
+ */
+export function lookupGSTRate(codeOrCategory, options = {}) {
+  const { amount = 0, date = new Date() } = options ?? {};
+  const day = toISODate(date);
+
+  // 1. Validation
+  if (typeof codeOrCategory !== 'string') {
+    return null;
+  }
+
+  // 2. Legacy category words
+  const alias = codeOrCategory.trim().toLowerCase();
+  if (Object.hasOwn(GST_CATEGORY_RATES, alias)) {
+    return { code: alias, description: `Category: ${alias}`, rate: GST_CATEGORY_RATES[alias] };
+  }
+
+  // 3. HSN/SAC code: longest prefix present in the table
+  const code = codeOrCategory.replace(/[\s.]/g, "");
+  if (!HSN_PATTERN.test(code) && !SAC_PATTERN.test(code)) {
+    return null;
+  }
+  const prefix = [code.length, 6, 4, 2]
+    .filter(length => length <= code.length)
+    .map(length => code.slice(0, length))
+    .find(candidate => RATE_INDEX.has(candidate));
+  if (prefix === undefined) {
+    return null;
+  }
+
+  // 4. First slab active on that date that covers the amount
+  const entry = RATE_INDEX.get(prefix);
+  const slab = entry.slabs.find(s =>
+    s.from <= day && (s.to === undefined || day <= s.to) && (s.upTo === undefined || amount <= s.upTo)
+  );
+  return slab ? { code: entry.code, description: entry.description, rate: slab.rate } : null;
+}
+
+export const GST_CATEGORY_RATES = Object.freeze({
+  essential: 0,
+  food: 5,
+  standard: 12,
+  electronics: 18,
+  luxury: 28
+});
+
+const GST_START = "2017-07-01";
+const RATIONALISATION = "2025-09-22";
+const BEFORE_RATIONALISATION = "2025-09-21";
+
+// Slabs in priority order: price-dependent slabs before the catch-all one
+export const GST_RATE_TABLE = Object.freeze([
+  { code: "0401", description: "Milk and cream, fresh", slabs: [{ rate: 0, from: GST_START }] },
+  { code: "1006", description: "Rice", slabs: [{ rate: 0, from: GST_START }] },
+  { code: "0902", description: "Tea", slabs: [{ rate: 5, from: GST_START }] },
+  {
+    code: "2106", description: "Namkeen and food preparations", slabs: [
+      { rate: 12, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 5, from: RATIONALISATION }
+    ]
+  },
+  {
+    code: "2202", description: "Aerated and sweetened beverages", slabs: [
+      { rate: 28, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 40, from: RATIONALISATION }
+    ]
+  },
+  {
+    code: "6109", description: "T-shirts and vests, knitted", slabs: [
+      { rate: 5, upTo: 1000, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 12, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 5, upTo: 2500, from: RATIONALISATION },
+      { rate: 18, from: RATIONALISATION }
+    ]
+  },
+  {
+    code: "6205", description: "Shirts, not knitted", slabs: [
+      { rate: 5, upTo: 1000, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 12, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 5, upTo: 2500, from: RATIONALISATION },
+      { rate: 18, from: RATIONALISATION }
+    ]
+  },
+  { code: "7102", description: "Diamonds, unset", slabs: [{ rate: 0.25, from: GST_START }] },
+  { code: "7108", description: "Gold, unwrought", slabs: [{ rate: 3, from: GST_START }] },
+  { code: "7113", description: "Jewellery of precious metal", slabs: [{ rate: 3, from: GST_START }] },
+  { code: "8471", description: "Laptops and computers", slabs: [{ rate: 18, from: GST_START }] },
+  {
+    code: "8517", description: "Mobile phones", slabs: [
+      { rate: 12, from: GST_START, to: "2020-03-31" },
+      { rate: 18, from: "2020-04-01" }
+    ]
+  },
+  {
+    code: "8703", description: "Motor cars", slabs: [
+      { rate: 28, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 40, from: RATIONALISATION }
+    ]
+  },
+  { code: "996331", description: "Restaurant services", slabs: [{ rate: 5, from: GST_START }] },
+  {
+    code: "996311", description: "Hotel accommodation", slabs: [
+      { rate: 12, upTo: 7500, from: GST_START, to: BEFORE_RATIONALISATION },
+      { rate: 5, upTo: 7500, from: RATIONALISATION },
+      { rate: 18, from: GST_START }
+    ]
+  },
+  { code: "998314", description: "IT design and development services", slabs: [{ rate: 18, from: GST_START }] }
+].map(entry => Object.freeze({ ...entry, slabs: Object.freeze(entry.slabs.map(Object.freeze)) })));
+
+const RATE_INDEX = new Map(GST_RATE_TABLE.map(entry => [entry.code, entry]));
+const HSN_PATTERN = /^(\d{2}|\d{4}|\d{6}|\d{8})$/;
+const SAC_PATTERN = /^99\d{4}$/;
+const ISO_DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Dates are compared as "YYYY-MM-DD" strings; a Date uses its local calendar day
+function toISODate(date) {
+  if (date instanceof Date && !Number.isNaN(date.getTime())) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  if (typeof date === 'string' && ISO_DATE.test(date)) {
+    return date;
+  }
+  throw new RangeError("date must be a valid Date or a YYYY-MM-DD string");
+}
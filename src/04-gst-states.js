@@ -0,0 +1,69 @@
+/**
+ * 🗺️ GST State Codes
+ *
+ * GSTIN ke pehle do digits aur invoice ka "place of supply" - dono yahi
+ * 2-digit state codes use karte hain ("27" = Maharashtra, "29" = Karnataka).
+ * Jo Union Territories bina legislature ke hain (Chandigarh, Ladakh, ...)
+ * wahan SGST ki jagah UTGST lagta hai, isliye har entry pe unionTerritory flag.
+ *
+ * Rules:
+ *   - Code exactly 2 digits ki string honi chahiye: "07", 7 ya "7" nahi chalega
+ *   - unionTerritory: true sirf bina-legislature wale UTs ke liye; Delhi,
+ *     Puducherry aur J&K mein SGST hi lagta hai
+ *
+ * @param {string} code - 2-digit GST state code
+ * @returns {{ code: string, name: string, unionTerritory: boolean } | null}
+ *   State details, ya null agar code galat/unknown hai
+ *
+ * @example
+ *   getGSTState("27")
+ *   // => { code: "27", name: "Maharashtra", unionTerritory: false }
+ */
+export function getGSTState(code) {
+  if (typeof code !== 'string' || !Object.hasOwn(GST_STATES, code)) {
+    return null;
+  }
+  return { code, ...GST_STATES[code] };
+}
+
+const state = (name, unionTerritory = false) => Object.freeze({ name, unionTerritory });
+
+export const GST_STATES = Object.freeze({
+  "01": state("Jammu and Kashmir"),
+  "02": state("Himachal Pradesh"),
+  "03": state("Punjab"),
+  "04": state("Chandigarh", true),
+  "05": state("Uttarakhand"),
+  "06": state("Haryana"),
+  "07": state("Delhi"),
+  "08": state("Rajasthan"),
+  "09": state("Uttar Pradesh"),
+  "10": state("Bihar"),
+  "11": state("Sikkim"),
+  "12": state("Arunachal Pradesh"),
+  "13": state("Nagaland"),
+  "14": state("Manipur"),
+  "15": state("Mizoram"),
+  "16": state("Tripura"),
+  "17": state("Meghalaya"),
+  "18": state("Assam"),
+  "19": state("West Bengal"),
+  "20": state("Jharkhand"),
+  "21": state("Odisha"),
+  "22": state("Chhattisgarh"),
+  "23": state("Madhya Pradesh"),
+  "24": state("Gujarat"),
+  "26": state("Dadra and Nagar Haveli and Daman and Diu", true),
+  "27": state("Maharashtra"),
+  "29": state("Karnataka"),
+  "30": state("Goa"),
+  "31": state("Lakshadweep", true),
+  "32": state("Kerala"),
+  "33": state("Tamil Nadu"),
+  "34": state("Puducherry"),
+  "35": state("Andaman and Nicobar Islands", true),
+  "36": state("Telangana"),
+  "37": state("Andhra Pradesh"),
+  "38": state("Ladakh", true),
+  "97": state("Other Territory", true)
+});
@@ -0,0 +1,161 @@
+import { getGSTState } from './04-gst-states.js';
+
+/**
+ * 🪪 GSTIN Validator - 15 Characters, Sab Check Karo
+ *
+ * Har GST flow mein seller/buyer ka GSTIN aata hai: "27AAPFU0939F1ZV".
+ * Galat GSTIN invoice pe gaya toh buyer ko input tax credit nahi milta.
+ * Yeh validator poora structure check karta hai aur batata hai ki kya galat
+ * hai - sirf null nahi.
+ *
+ * Structure (15 characters):
+ *   - 1-2:   state code ("27" = Maharashtra) - GST state table mein hona chahiye
+ *   - 3-12:  PAN - 5 letters, 4 digits, 1 letter; PAN ka 4th letter holder
+ *            type hai (P = Individual, C = Company, F = Firm, ...)
+ *   - 13:    entity code - same PAN ke registrations ka number, 1-9 ya A-Z (0 nahi)
+ *   - 14:    "Z" (default character)
+ *   - 15:    check character - pehle 14 ka mod-36 checksum
+ *
+ * Check character (mod-36):
+ *   - Har character ki value "0-9A-Z" mein uski position (0-35)
+ *   - Odd positions (1st, 3rd, ...) ka factor 1, even ka 2
+ *   - product = value * factor; sum += floor(product / 36) + product % 36
+ *   - check = (36 - sum % 36) % 36 wala character
+ *
+ * Rules:
+ *   - Input trim + uppercase hota hai ("27aapfu0939f1zv" bhi chalega)
+ *   - Saari galtiyan ek saath: errors: [{ field, reason }]
+ *   - Reasons: NOT_A_STRING, INVALID_LENGTH, INVALID_CHARACTERS,
+ *     UNKNOWN_STATE_CODE, INVALID_PAN, INVALID_PAN_HOLDER_TYPE,
+ *     INVALID_ENTITY_CODE, INVALID_DEFAULT_CHARACTER, CHECKSUM_MISMATCH
+ *   - Length/characters galat hain toh baaki checks nahi hote
+ *   - stateCode calculateGST ke supplierState/recipientState mein seedha
+ *     jaata hai
+ *
+ * @param {string} gstin - GSTIN as typed
+ * @returns {{ valid: boolean, gstin: string | null, stateCode: string | null,
+ *   stateName: string | null, pan: string | null, panHolderType: string | null,
+ *   entityCode: string | null, errors: Array<{ field: string, reason: string }> }}
+ *
+ * @example
+ *   validateGSTIN("27AAPFU0939F1ZV")
+ *   // => { valid: true, gstin: "27AAPFU0939F1ZV", stateCode: "27",
+ *   //      stateName: "Maharashtra", pan: "AAPFU0939F", panHolderType: "Firm",
+ *   //      entityCode: "1", errors: [] }
+ *
+ *   validateGSTIN("27AAPFU0939F1ZA").errors
+ *   // => [{ field: "checkCharacter", reason: "CHECKSUM_MISMATCH" }]
+ */
+export function validateGSTIN(gstin) {
+  const result = {
+    valid: false,
+    gstin: null,
+    stateCode: null,
+    stateName: null,
+    pan: null,
+    panHolderType: null,
+    entityCode: null,
+    errors: []
+  };
+  const fail = (field, reason) => {
+    result.errors.push({ field, reason });
+    return result;
+  };
+
+  // 1. Validation: a 15-character alphanumeric string
+  if (typeof gstin !== 'string') {
+    return fail("gstin", "NOT_A_STRING");
+  }
+  const value = gstin.trim().toUpperCase();
+  if (value.length !== 15) {
+    return fail("gstin", "INVALID_LENGTH");
+  }
+  if (!/^[0-9A-Z]{15}$/.test(value)) {
+    return fail("gstin", "INVALID_CHARACTERS");
+  }
+
+  result.gstin = value;
+  result.stateCode = value.slice(0, 2);
+  result.pan = value.slice(2, 12);
+  result.entityCode = value[12];
+
+  // 2. State code must be one GST knows about
+  const state = getGSTState(result.stateCode);
+  if (state === null) {
+    fail("stateCode", "UNKNOWN_STATE_CODE");
+  } else {
+    result.stateName = state.name;
+  }
+
+  // 3. Embedded PAN: AAAAA9999A, with a known holder type
+  if (!PAN_PATTERN.test(result.pan)) {
+    fail("pan", "INVALID_PAN");
+  } else if (!Object.hasOwn(PAN_HOLDER_TYPES, result.pan[3])) {
+    fail("pan", "INVALID_PAN_HOLDER_TYPE");
+  } else {
+    result.panHolderType = PAN_HOLDER_TYPES[result.pan[3]];
+  }
+
+  // 4. Entity code and the fixed "Z"
+  if (result.entityCode === "0") {
+    fail("entityCode", "INVALID_ENTITY_CODE");
+  }
+  if (value[13] !== "Z") {
+    fail("defaultCharacter", "INVALID_DEFAULT_CHARACTER");
+  }
+
+  // 5. Mod-36 check character
+  if (gstinCheckCharacter(value) !== value[14]) {
+    fail("checkCharacter", "CHECKSUM_MISMATCH");
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * GSTIN ke pehle 14 characters se 15th (check) character nikaalo.
+ *
+ * @param {string} gstin - Kam se kam 14 uppercase alphanumeric characters
+ * @returns {string} Check character, "0"-"9" ya "A"-"Z"
+ */
+export function gstinCheckCharacter(gstin) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * State code ya poora GSTIN - dono se GST state nikaalo. Tax-split logic
+ * (calculateGST, buildGSTInvoice) isi se supplier/recipient samajhta hai.
+ *
+ * @param {string} codeOrGSTIN - "27" ya "27AAPFU0939F1ZV"
+ * @returns {{ code: string, name: string, unionTerritory: boolean } | null}
+ *   null agar code unknown hai ya GSTIN invalid hai
+ */
+export function resolveGSTState(codeOrGSTIN) {
+  if (typeof codeOrGSTIN === 'string' && codeOrGSTIN.trim().length === 15) {
+    const { valid, stateCode } = validateGSTIN(codeOrGSTIN);
+    return valid ? getGSTState(stateCode) : null;
+  }
+  return getGSTState(codeOrGSTIN);
+}
+
+const CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const PAN_HOLDER_TYPES = Object.freeze({
+  A: "Association of Persons",
+  B: "Body of Individuals",
+  C: "Company",
+  E: "Limited Liability Partnership",
+  F: "Firm",
+  G: "Government",
+  H: "Hindu Undivided Family",
+  J: "Artificial Juridical Person",
+  L: "Local Authority",
+  P: "Individual",
+  T: "Trust"
+});
@@ -0,0 +1,124 @@
+import { resolveLocalRoute } from './05-local-stations.js';
+
+/**
+ * 🎫 Mumbai Local Fare Engine - Season Ticket ka Hisaab
+ *
+ * Local ka pass (season ticket) distance pe chalta hai: pehle do stations ke
+ * beech ka distance nikaalo, usse single-journey fare ka slab, aur phir
+ * mahine ya teen mahine ka multiplier. AC local ka apna slab table hai.
+ *
+ * Single-journey slabs (distance km tak => Rs):
+ *   - second: 10 => 5, 20 => 10, 30 => 15, 45 => 20, 60 => 25, 80 => 30,
+ *             100 => 35, uske aage 40
+ *   - first:  10 => 50, 20 => 100, 30 => 140, 45 => 165, 60 => 205,
+ *             80 => 240, 100 => 270, uske aage 300
+ *   - AC:     10 => 35, 20 => 65, 30 => 95, 45 => 125, 60 => 155,
+ *             80 => 185, 100 => 210, uske aage 235
+ *
+ * Rules:
+ *   - fare = singleFare * SEASON_MULTIPLIERS[period] (monthly 15, quarterly 40)
+ *   - AC local mein ek hi class hai: ac: true pe AC slab lagta hai, classType
+ *     fare nahi badalta
+ *   - Validity startDate se: monthly 1 mahina, quarterly 3 mahine, end date
+ *     ek din pehle tak (18 Oct => 17 Nov). Chhote mahine mein month-end pe
+ *     clamp: 31 Jan => 28 Feb
+ *   - Unknown station, same station dono taraf, ya galat startDate => null
+ *   - Unknown classType ya period => RangeError (caller ki galti)
+ *
+ * @param {string} from - Start station
+ * @param {string} to - Destination station
+ * @param {{ classType?: "first" | "second", period?: "monthly" | "quarterly",
+ *   ac?: boolean, startDate?: Date | string }} [options]
+ * @returns {{ from: string, to: string, distanceKm: number, classType: string,
+ *   ac: boolean, period: string, singleFare: number, fare: number,
+ *   validFrom: string, validTo: string } | null} Fare details, dates "YYYY-MM-DD"
+ *
+ * @example
+ *   calculateLocalFare("Churchgate", "Borivali", { classType: "second", startDate: "2026-10-18" })
+ *   // => { from: "Churchgate", to: "Borivali", distanceKm: 33.9, classType: "second",
+ *   //      ac: false, period: "monthly", singleFare: 20, fare: 300,
+ *   //      validFrom: "2026-10-18", validTo: "2026-11-17" }
+ */
+export function calculateLocalFare(from, to, options = {}) {
+  const {
+    classType = "second",
+    period = "monthly",
+    ac = false,
+    startDate = new Date()
+  } = options ?? {};
+
+  // 1. Options are the caller's responsibility
+  if (!Object.hasOwn(FARE_SLABS, classType) || classType === "ac") {
+    throw new RangeError(`Unknown class: "${classType}"`);
+  }
+  if (!Object.hasOwn(SEASON_MULTIPLIERS, period)) {
+    throw new RangeError(`Unknown season period: "${period}"`);
+  }
+
+  // 2. Validation: two different known stations and a real start date
+  const route = resolveLocalRoute(from, to);
+  if (route === null || route.distanceKm === 0) {
+    return null;
+  }
+  const validity = seasonValidity(startDate, SEASON_MONTHS[period]);
+  if (validity === null) {
+    return null;
+  }
+
+  // 3. Distance slab => single fare => season fare
+  const { distanceKm } = route;
+  const slabs = FARE_SLABS[ac === true ? "ac" : classType];
+  const [, singleFare] = slabs.find(([upTo]) => distanceKm <= upTo);
+
+  return {
+    from: route.from.name,
+    to: route.to.name,
+    distanceKm,
+    classType,
+    ac: ac === true,
+    period,
+    singleFare,
+    fare: singleFare * SEASON_MULTIPLIERS[period],
+    ...validity
+  };
+}
+
+const slabs = (rows) => Object.freeze(rows.map(row => Object.freeze(row)));
+
+export const FARE_SLABS = Object.freeze({
+  second: slabs([[10, 5], [20, 10], [30, 15], [45, 20], [60, 25], [80, 30], [100, 35], [Infinity, 40]]),
+  first: slabs([[10, 50], [20, 100], [30, 140], [45, 165], [60, 205], [80, 240], [100, 270], [Infinity, 300]]),
+  ac: slabs([[10, 35], [20, 65], [30, 95], [45, 125], [60, 155], [80, 185], [100, 210], [Infinity, 235]])
+});
+
+export const SEASON_MULTIPLIERS = Object.freeze({ monthly: 15, quarterly: 40 });
+
+const SEASON_MONTHS = Object.freeze({ monthly: 1, quarterly: 3 });
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// A Date uses its local calendar day; a string must be a real YYYY-MM-DD day
+function seasonValidity(startDate, months) {
+  let year, month, day;
+  if (startDate instanceof Date && !Number.isNaN(startDate.getTime())) {
+    [year, month, day] = [startDate.getFullYear(), startDate.getMonth(), startDate.getDate()];
+  } else if (typeof startDate === 'string' && ISO_DATE.test(startDate)) {
+    [year, month, day] = startDate.match(ISO_DATE).slice(1).map(Number);
+    month -= 1;
+    const check = new Date(Date.UTC(year, month, day));
+    if (check.getUTCMonth() !== month || check.getUTCDate() !== day) {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  // Day before the same date `months` later, clamped to that month's end
+  const lastDay = new Date(Date.UTC(year, month + months + 1, 0)).getUTCDate();
+  const end = new Date(Date.UTC(year, month + months, Math.min(day - 1, lastDay)));
+  return {
+    validFrom: toISODate(new Date(Date.UTC(year, month, day))),
+    validTo: toISODate(end)
+  };
+}
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
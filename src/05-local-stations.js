@@ -0,0 +1,370 @@
+/**
+ * 🚉 Mumbai Local Stations - Teen Lines ka Naksha
+ *
+ * Fare distance se banta hai, aur distance ke liye pata hona chahiye ki
+ * station kis line pe hai aur line ke start se kitne km door hai. Western
+ * line Churchgate se, Central aur Harbour CSMT se naapi jaati hain. Har
+ * station ka railway wala official code hai ("CCG" = Churchgate, "TNA" =
+ * Thane) - pass ID aur routing naam se nahi, code se chalte hain.
+ *
+ * Dadar do alag stations hain: Western ka "DDR" aur Central ka "DR", beech
+ * mein foot-over-bridge. "Dadar" likhne pe route wala side chuna jaata hai;
+ * "Dadar (Central)" / "Dadar Western" se seedha ek side.
+ *
+ * Rules:
+ *   - Naam case/space/bracket-insensitive: "  dadar (CENTRAL) " = "Dadar Central"
+ *   - Official code bhi chalta hai: "bvi" => Borivali
+ *   - Purane naam bhi: "cst", "vt" => CSMT, "elphinstone road" => Prabhadevi
+ *   - Spelling ki ek galti chalegi ("Borivli", "Ghatkoper") - lekin sirf tab
+ *     jab ek hi station saaf taur pe sabse paas ho; warna null
+ *   - Network ke bahar ke asli stations ("Badlapur", "Neral") unknown hain -
+ *     woh milte-julte naam wale station ("Belapur", "Nerul") nahi bante
+ *   - Route network pe sabse chhota raasta hai (jaise railway fare ke liye
+ *     naapti hai), 0.1 km tak; barabar distance pe kam interchange wala
+ *   - Unknown station => null
+ *
+ * @example
+ *   findLocalStation("cst")
+ *   // => { code: "CSMT", name: "CSMT", lines: ["central", "harbour"] }
+ *
+ *   resolveLocalRoute("Churchgate", "CSMT")
+ *   // => { from: { code: "CCG", ... }, to: { code: "CSMT", ... }, distanceKm: 19.2,
+ *   //      needsInterchange: true, interchanges: [{ code: "DR", name: "Dadar" }],
+ *   //      legs: [{ line: "western", from: "CCG", to: "DDR", distanceKm: 10.2 },
+ *   //             { line: "central", from: "DR", to: "CSMT", distanceKm: 9 }] }
+ *
+ *   stationDistance("Churchgate", "Borivali")  // => 33.9
+ */
+
+const station = (name, ...aliases) => ({ name, aliases });
+
+const STATION_DATA = {
+  CCG: station("Churchgate"),
+  MEL: station("Marine Lines"),
+  CYR: station("Charni Road"),
+  GTR: station("Grant Road"),
+  BCT: station("Mumbai Central", "bombay central"),
+  MX: station("Mahalaxmi"),
+  PL: station("Lower Parel"),
+  PBHD: station("Prabhadevi", "elphinstone road"),
+  DDR: station("Dadar", "dadar western", "dadar west", "dadar wr"),
+  MRU: station("Matunga Road"),
+  MM: station("Mahim"),
+  BA: station("Bandra"),
+  KHAR: station("Khar Road", "khar"),
+  STC: station("Santacruz"),
+  VLP: station("Vile Parle"),
+  ADH: station("Andheri"),
+  JOS: station("Jogeshwari"),
+  RMAR: station("Ram Mandir"),
+  GMN: station("Goregaon"),
+  MDD: station("Malad"),
+  KILE: station("Kandivali"),
+  BVI: station("Borivali"),
+  DIC: station("Dahisar"),
+  MIRA: station("Mira Road"),
+  BYR: station("Bhayandar"),
+  NIG: station("Naigaon"),
+  BSR: station("Vasai Road", "vasai"),
+  NSP: station("Nallasopara"),
+  VR: station("Virar"),
+  CSMT: station("CSMT", "cst", "vt", "mumbai cst", "chhatrapati shivaji maharaj terminus"),
+  MSD: station("Masjid"),
+  SNRD: station("Sandhurst Road"),
+  BY: station("Byculla"),
+  CHG: station("Chinchpokli"),
+  CRD: station("Currey Road"),
+  PR: station("Parel"),
+  DR: station("Dadar", "dadar central", "dadar cr"),
+  MTN: station("Matunga"),
+  SIN: station("Sion"),
+  CLA: station("Kurla"),
+  VVH: station("Vidyavihar"),
+  GC: station("Ghatkopar"),
+  VK: station("Vikhroli"),
+  KJRD: station("Kanjurmarg"),
+  BND: station("Bhandup"),
+  NHU: station("Nahur"),
+  MLND: station("Mulund"),
+  TNA: station("Thane"),
+  KLVA: station("Kalwa"),
+  MBQ: station("Mumbra"),
+  DIVA: station("Diva"),
+  DI: station("Dombivli"),
+  THK: station("Thakurli"),
+  KYN: station("Kalyan"),
+  DKRD: station("Dockyard Road"),
+  RRD: station("Reay Road"),
+  CTGN: station("Cotton Green"),
+  SVE: station("Sewri"),
+  VDLR: station("Vadala Road", "vadala", "wadala", "wadala road"),
+  GTBN: station("GTB Nagar", "guru tegh bahadur nagar"),
+  CHF: station("Chunabhatti"),
+  TKNG: station("Tilak Nagar"),
+  CMBR: station("Chembur"),
+  GV: station("Govandi"),
+  MNKD: station("Mankhurd"),
+  VSH: station("Vashi"),
+  SNCR: station("Sanpada"),
+  JNJ: station("Juinagar"),
+  NEU: station("Nerul"),
+  SWDV: station("Seawoods", "seawoods darave"),
+  BEPR: station("Belapur CBD", "cbd belapur", "belapur"),
+  KHAG: station("Kharghar"),
+  MANR: station("Mansarovar"),
+  KNDS: station("Khandeshwar"),
+  PNVL: station("Panvel")
+};
+
+const line = (name, stops) => Object.freeze({
+  name,
+  stations: Object.freeze(stops.map(([code, km]) =>
+    Object.freeze({ code, name: STATION_DATA[code].name, km })
+  ))
+});
+
+export const LOCAL_LINES = Object.freeze({
+  western: line("Western", [
+    ["CCG", 0], ["MEL", 1.3], ["CYR", 2.2], ["GTR", 3.2], ["BCT", 4.3], ["MX", 5.9],
+    ["PL", 7.1], ["PBHD", 8.1], ["DDR", 10.2], ["MRU", 11.2], ["MM", 12.1], ["BA", 14.7],
+    ["KHAR", 15.7], ["STC", 16.9], ["VLP", 18.7], ["ADH", 21.8], ["JOS", 23.6],
+    ["RMAR", 24.8], ["GMN", 26.2], ["MDD", 28.5], ["KILE", 30.6], ["BVI", 33.9],
+    ["DIC", 36], ["MIRA", 39.9], ["BYR", 42.1], ["NIG", 47.9], ["BSR", 50.3],
+    ["NSP", 53.9], ["VR", 59.9]
+  ]),
+  central: line("Central", [
+    ["CSMT", 0], ["MSD", 1.3], ["SNRD", 2.2], ["BY", 3.6], ["CHG", 5.1], ["CRD", 6],
+    ["PR", 7.3], ["DR", 9], ["MTN", 10.2], ["SIN", 11.9], ["CLA", 15.1], ["VVH", 16.3],
+    ["GC", 18.7], ["VK", 22.8], ["KJRD", 24.5], ["BND", 26.2], ["NHU", 27.4],
+    ["MLND", 29], ["TNA", 33.5], ["KLVA", 35.8], ["MBQ", 40.3], ["DIVA", 42.4],
+    ["DI", 48.2], ["THK", 49.4], ["KYN", 53.7]
+  ]),
+  harbour: line("Harbour", [
+    ["CSMT", 0], ["MSD", 1.3], ["SNRD", 2.2], ["DKRD", 3.8], ["RRD", 4.5], ["CTGN", 5.3],
+    ["SVE", 6.8], ["VDLR", 8.5], ["GTBN", 11.2], ["CHF", 12.9], ["CLA", 15.1],
+    ["TKNG", 16.8], ["CMBR", 18.3], ["GV", 20], ["MNKD", 21.6], ["VSH", 27.7],
+    ["SNCR", 29.3], ["JNJ", 30.7], ["NEU", 32.9], ["SWDV", 34.8], ["BEPR", 37.7],
+    ["KHAG", 40.4], ["MANR", 42.6], ["KNDS", 44.5], ["PNVL", 51.4]
+  ])
+});
+
+// Stations that are separate on the map but joined by a footbridge
+const WALKING_LINKS = Object.freeze([Object.freeze(["DDR", "DR"])]);
+
+export const LOCAL_STATIONS = Object.freeze(Object.fromEntries(
+  Object.entries(STATION_DATA).map(([code, { name }]) => [code, Object.freeze({
+    code,
+    name,
+    lines: Object.freeze(Object.keys(LOCAL_LINES).filter(lineId =>
+      LOCAL_LINES[lineId].stations.some(stop => stop.code === code)
+    ))
+  })])
+));
+
+/**
+ * Station ko naam, purane naam ya code se dhoondho.
+ *
+ * @param {string} nameOrCode - Station name/code as typed
+ * @returns {{ code: string, name: string, lines: string[] } | null} Station,
+ *   ya null agar unknown hai ya naam ek se zyada stations ka hai ("Dadar")
+ */
+export function findLocalStation(nameOrCode) {
+  const matches = matchStations(nameOrCode);
+  return matches.length === 1 ? toStation(matches[0]) : null;
+}
+
+/**
+ * Do stations ke beech sabse chhota raasta, line-wise legs aur interchanges ke saath.
+ *
+ * @param {string} from - Start station (name ya code)
+ * @param {string} to - Destination station (name ya code)
+ * @returns {{ from: object, to: object, distanceKm: number, needsInterchange: boolean,
+ *   interchanges: Array<{ code: string, name: string }>,
+ *   legs: Array<{ line: string, from: string, to: string, distanceKm: number }> } | null}
+ *   Route, ya null agar koi station unknown hai. Same station => distance 0, legs []
+ */
+export function resolveLocalRoute(from, to) {
+  const starts = matchStations(from);
+  const targets = new Set(matchStations(to));
+  if (starts.length === 0 || targets.size === 0) {
+    return null;
+  }
+
+  // 1. Dijkstra over (station, line) nodes: cost = [tenths of a km, interchanges]
+  const costs = new Map();
+  const previous = new Map();
+  const pending = new Set();
+  starts.forEach(code => LOCAL_STATIONS[code].lines.forEach(lineId => {
+    costs.set(node(code, lineId), [0, 0]);
+    pending.add(node(code, lineId));
+  }));
+
+  let reached = null;
+  while (pending.size > 0) {
+    const current = [...pending].reduce((best, key) =>
+      isCheaper(costs.get(key), costs.get(best)) ? key : best
+    );
+    pending.delete(current);
+    if (targets.has(current.split("|")[0])) {
+      reached = current;
+      break;
+    }
+    const [km, changes] = costs.get(current);
+    for (const [next, length, change] of GRAPH.get(current)) {
+      const candidate = [km + length, changes + change];
+      if (!costs.has(next) || isCheaper(candidate, costs.get(next))) {
+        costs.set(next, candidate);
+        previous.set(next, current);
+        pending.add(next);
+      }
+    }
+  }
+
+  if (reached === null) {
+    return null;
+  }
+
+  // 2. Walk back and group consecutive stops on one line into legs
+  const path = [reached];
+  while (previous.has(path[0])) {
+    path.unshift(previous.get(path[0]));
+  }
+  const legs = [];
+  for (let i = 1; i < path.length; i++) {
+    const [fromCode, fromLine] = path[i - 1].split("|");
+    const [toCode, toLine] = path[i].split("|");
+    if (fromLine !== toLine) {
+      continue;
+    }
+    const km = Math.abs(kmOn(toLine, toCode) - kmOn(fromLine, fromCode));
+    const last = legs.at(-1);
+    if (last?.line === toLine && last.to === fromCode) {
+      last.to = toCode;
+      last.distanceKm += km;
+    } else {
+      legs.push({ line: toLine, from: fromCode, to: toCode, distanceKm: km });
+    }
+  }
+  legs.forEach(leg => {
+    leg.distanceKm = Math.round(leg.distanceKm) / 10;
+  });
+
+  const interchanges = legs.slice(1).map(leg => ({ code: leg.from, name: LOCAL_STATIONS[leg.from].name }));
+  return {
+    from: toStation(path[0].split("|")[0]),
+    to: toStation(reached.split("|")[0]),
+    distanceKm: costs.get(reached)[0] / 10,
+    needsInterchange: interchanges.length > 0,
+    interchanges,
+    legs
+  };
+}
+
+/**
+ * Do stations ke beech network pe sabse chhota distance.
+ *
+ * @param {string} from - Start station
+ * @param {string} to - Destination station
+ * @returns {number | null} Distance in km (0.1 tak), ya null agar koi
+ *   station unknown hai
+ */
+export function stationDistance(from, to) {
+  return resolveLocalRoute(from, to)?.distanceKm ?? null;
+}
+
+const normalize = (name) => name.toLowerCase().replace(/[()]/g, " ").trim().replace(/\s+/g, " ");
+const node = (code, lineId) => `${code}|${lineId}`;
+const isCheaper = ([km, changes], [bestKm, bestChanges]) =>
+  km < bestKm || (km === bestKm && changes < bestChanges);
+const kmOn = (lineId, code) => Math.round(LOCAL_LINES[lineId].stations.find(stop => stop.code === code).km * 10);
+const toStation = (code) => ({ ...LOCAL_STATIONS[code], lines: [...LOCAL_STATIONS[code].lines] });
+
+// Exact name, alias or code first; otherwise the one closest spelling
+function matchStations(nameOrCode) {
+  if (typeof nameOrCode !== 'string' || nameOrCode.trim() === "") {
+    return [];
+  }
+  const key = normalize(nameOrCode);
+  if (NAME_INDEX.has(key)) {
+    return [...NAME_INDEX.get(key)];
+  }
+  if (Object.hasOwn(LOCAL_STATIONS, key.toUpperCase())) {
+    return [key.toUpperCase()];
+  }
+
+  // One typo at most, and only when a single station is clearly the
+  // closest. Real stations outside the network compete too, so "Neral"
+  // never turns into Nerul
+  if (key.length < 4) {
+    return [];
+  }
+  const ranked = [
+    ...[...NAME_INDEX].map(([name, codes]) => ({ codes, station: LOCAL_STATIONS[codes[0]].name, name })),
+    ...OUTSIDE_NETWORK.map(name => ({ codes: [], station: name, name }))
+  ]
+    .map(entry => ({ ...entry, distance: editDistance(key, entry.name) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const [best] = ranked;
+  const runnerUp = ranked.find(entry => entry.station !== best.station);
+  if (best.codes.length === 0 || best.distance > 1 || runnerUp.distance < best.distance + 2) {
+    return [];
+  }
+  return [...new Set(ranked.filter(entry => entry.distance === best.distance).flatMap(entry => entry.codes))];
+}
+
+// Suburban stations beyond this network - a typo of one of these is not a
+// typo of the registry station it happens to resemble
+const OUTSIDE_NETWORK = Object.freeze([
+  "kopar", "ulhasnagar", "vithalwadi", "ambernath", "badlapur", "vangani", "shelu",
+  "neral", "bhivpuri road", "karjat", "shahad", "ambivli", "titwala", "khadavli",
+  "vasind", "asangaon", "atgaon", "khardi", "kasara", "airoli", "rabale", "ghansoli",
+  "kopar khairane", "turbhe", "digha", "kings circle", "vaitarna", "saphale",
+  "kelve road", "palghar", "umroli", "boisar", "vangaon", "dahanu road"
+]);
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+const NAME_INDEX = new Map();
+const GRAPH = new Map();
+
+Object.entries(STATION_DATA).forEach(([code, { name, aliases }]) => {
+  [name, ...aliases].map(normalize).forEach(key => {
+    NAME_INDEX.set(key, [...(NAME_INDEX.get(key) ?? []), code]);
+  });
+});
+
+Object.entries(LOCAL_LINES).forEach(([lineId, { stations }]) => {
+  stations.forEach((stop, index) => {
+    const key = node(stop.code, lineId);
+    GRAPH.set(key, GRAPH.get(key) ?? []);
+    if (index > 0) {
+      const before = node(stations[index - 1].code, lineId);
+      const length = Math.round((stop.km - stations[index - 1].km) * 10);
+      GRAPH.get(key).push([before, length, 0]);
+      GRAPH.get(before).push([key, length, 0]);
+    }
+  });
+});
+
+// Changing lines costs no distance but counts as an interchange
+const link = (a, b) => {
+  GRAPH.get(a).push([b, 0, 1]);
+  GRAPH.get(b).push([a, 0, 1]);
+};
+Object.values(LOCAL_STATIONS).forEach(({ code, lines }) => {
+  lines.forEach((lineId, i) => lines.slice(i + 1).forEach(other => link(node(code, lineId), node(code, other))));
+});
+WALKING_LINKS.forEach(([a, b]) => {
+  LOCAL_STATIONS[a].lines.forEach(lineA => LOCAL_STATIONS[b].lines.forEach(lineB => link(node(a, lineA), node(b, lineB))));
+});
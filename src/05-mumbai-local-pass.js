@@ -1,3 +1,6 @@
+import { calculateLocalFare } from './05-local-fares.js';
+import { resolveLocalRoute } from './05-local-stations.js';
+
 /**
  * 🚂 Mumbai Local Train Pass Generator
  *
@@ -8,35 +11,58 @@
  * Rules:
  *   - passenger object mein required fields: name, from, to, classType
  *   - classType must be "first" ya "second" (case-insensitive check)
- *   - Pass ID generate karo:
- *     classType ka first char uppercase + from ke pehle 3 letters uppercase
- *     + to ke pehle 3 letters uppercase
- *     Example: "first", "dadar", "andheri" => "F" + "DAD" + "AND" = "FDADAND"
+ *   - from/to station registry (05-local-stations.js) se resolve hote hain:
+ *     naam, purana naam ("cst"), code ("BVI") ya chhoti spelling galti
+ *     ("borivli") - sab chalega, pass pe official naam chhapta hai
+ *   - Pass ID generate karo station codes se (naam ke pehle 3 letters se
+ *     nahi - "Dadar" Western aur Central alag stations hain):
+ *     classType ka first char uppercase + "-" + from code + "-" + to code
+ *     Example: "first", "dadar", "andheri" => "F" + "-DDR" + "-ADH" = "F-DDR-ADH"
  *   - Output format using template literal:
  *     Line 1: "MUMBAI LOCAL PASS"
  *     Line 2: "---"
  *     Line 3: "Name: <NAME IN UPPERCASE>"
- *     Line 4: "From: <From in Title Case>"
- *     Line 5: "To: <To in Title Case>"
+ *     Line 4: "From: <From station name>"
+ *     Line 5: "To: <To station name>"
  *     Line 6: "Class: <FIRST or SECOND>"
  *     Line 7: "Pass ID: <PASSID>"
- *   - Title Case = first letter uppercase, rest lowercase
+ *   - Agar route mein line badalni padti hai, ek line aur:
+ *     "Via: <interchange station(s), comma-separated>"
+ *   - Season ticket (optional): passenger.period "monthly" ya "quarterly"
+ *     (case-insensitive) diya hai toh fare engine (05-local-fares.js) se
+ *     do lines aur jodo:
+ *     "Fare: Rs <fare> (<PERIOD>)" - AC local pe "(<PERIOD>, AC)"
+ *     "Valid: <DD/MM/YYYY> to <DD/MM/YYYY>"
+ *     passenger.ac = true se AC local, passenger.startDate (Date ya
+ *     "YYYY-MM-DD", default aaj) se validity shuru
  *   - Lines are separated by \n (newline)
- *   - Hint: Use template literals, slice(), toUpperCase(), toLowerCase(),
- *     charAt(), typeof
+ *   - Hint: Use template literals, toUpperCase(), toLowerCase(), charAt(),
+ *     typeof
  *
  * Validation:
  *   - Agar passenger object nahi hai ya null hai, return "INVALID PASS"
  *   - Agar koi required field (name, from, to, classType) missing hai
  *     ya empty string hai, return "INVALID PASS"
  *   - Agar classType "first" ya "second" nahi hai, return "INVALID PASS"
+ *   - Agar from/to registry mein nahi hai, ya dono same station hain,
+ *     return "INVALID PASS"
+ *   - Season ticket mein: period galat hai, ac boolean nahi hai, ya
+ *     startDate galat hai => "INVALID PASS"
  *
- * @param {{ name: string, from: string, to: string, classType: string }} passenger
+ * @param {{ name: string, from: string, to: string, classType: string,
+ *   period?: string, ac?: boolean, startDate?: Date | string }} passenger
  * @returns {string} Formatted pass or "INVALID PASS"
  *
  * @example
  *   generateLocalPass({ name: "rahul sharma", from: "dadar", to: "andheri", classType: "first" })
- *   // => "MUMBAI LOCAL PASS\n---\nName: RAHUL SHARMA\nFrom: Dadar\nTo: Andheri\nClass: FIRST\nPass ID: FDADAND"
+ *   // => "MUMBAI LOCAL PASS\n---\nName: RAHUL SHARMA\nFrom: Dadar\nTo: Andheri\nClass: FIRST\nPass ID: F-DDR-ADH"
+ *
+ *   generateLocalPass({ name: "rahul sharma", from: "churchgate", to: "borivali",
+ *     classType: "second", period: "monthly", startDate: "2026-10-18" })
+ *   // => "...Pass ID: S-CCG-BVI\nFare: Rs 300 (MONTHLY)\nValid: 18/10/2026 to 17/11/2026"
+ *
+ *   generateLocalPass({ name: "priya", from: "churchgate", to: "cst", classType: "second" })
+ *   // => "...To: CSMT\nClass: SECOND\nPass ID: S-CCG-CSMT\nVia: Dadar"
  *
  *   generateLocalPass(null)
  *   // => "INVALID PASS"
@@ -61,23 +87,44 @@ export function generateLocalPass(passenger) {
     return "INVALID PASS";
   }
 
-  // 4. Helper for Title Case
-  const toTitleCase = (str) => {
-    return str.trim().charAt(0).toUpperCase() + str.trim().slice(1).toLowerCase();
-  };
+  // 4. Stations from the registry; unknown or same-station trips are invalid
+  const route = resolveLocalRoute(from, to);
+  if (route === null || route.distanceKm === 0) {
+    return "INVALID PASS";
+  }
+
+  // 5. Generate Pass ID from station codes
+  const passID = `${normalizedClass.charAt(0).toUpperCase()}-${route.from.code}-${route.to.code}`;
+  const viaLine = route.needsInterchange
+    ? `\nVia: ${route.interchanges.map(stop => stop.name).join(", ")}`
+    : "";
 
-  // 5. Generate Pass ID
-  const passID = 
-    normalizedClass.charAt(0).toUpperCase() + 
-    from.slice(0, 3).toUpperCase() + 
-    to.slice(0, 3).toUpperCase();
+  // 6. Season ticket: fare and validity, only when a period is asked for
+  let seasonLines = "";
+  if (passenger.period !== undefined) {
+    const period = typeof passenger.period === 'string' ? passenger.period.toLowerCase() : "";
+    const ac = passenger.ac ?? false;
+    if ((period !== "monthly" && period !== "quarterly") || typeof ac !== 'boolean') {
+      return "INVALID PASS";
+    }
+    const fare = calculateLocalFare(route.from.code, route.to.code, {
+      classType: normalizedClass, period, ac, startDate: passenger.startDate
+    });
+    if (fare === null) {
+      return "INVALID PASS";
+    }
+    const toDisplayDate = (iso) => iso.split("-").reverse().join("/");
+    seasonLines = `
+Fare: Rs ${fare.fare} (${period.toUpperCase()}${fare.ac ? ", AC" : ""})
+Valid: ${toDisplayDate(fare.validFrom)} to ${toDisplayDate(fare.validTo)}`;
+  }
 
-  // 6. Return formatted string (Remove leading spaces inside backticks!)
+  // 7. Return formatted string (Remove leading spaces inside backticks!)
   return `MUMBAI LOCAL PASS
 ---
 Name: ${name.toUpperCase()}
-From: ${toTitleCase(from)}
-To: ${toTitleCase(to)}
+From: ${route.from.name}
+To: ${route.to.name}
 Class: ${normalizedClass.toUpperCase()}
-Pass ID: ${passID}`;
+Pass ID: ${passID}${viaLine}${seasonLines}`;
 }
\ No newline at end of file
@@ -1,42 +1,40 @@
-import { maskAadhaar } from '../src/01-aadhaar-masker.js';
+import {
+  maskAadhaar, isValidVerhoeff, normalizeAadhaarInput, MASKING_PRESETS
+} from '../src/01-aadhaar-masker.js';
 
 describe('01 - Aadhaar Number Masker (7 pts)', () => {
 
   describe('Basic masking', () => {
     test('Standard 12-digit input masks correctly', () => {
-      expect(maskAadhaar("123456781234")).toBe("XXXX-XXXX-1234");
+      expect(maskAadhaar("234567812342")).toBe("XXXX-XXXX-2342");
     });
 
     test('Leading zeros preserved in last 4', () => {
-      expect(maskAadhaar("987654320012")).toBe("XXXX-XXXX-0012");
+      expect(maskAadhaar("987654320013")).toBe("XXXX-XXXX-0013");
     });
 
     test('All same digits', () => {
-      expect(maskAadhaar("111111111111")).toBe("XXXX-XXXX-1111");
-    });
-
-    test('All zeros', () => {
-      expect(maskAadhaar("000000000000")).toBe("XXXX-XXXX-0000");
+      expect(maskAadhaar("999999999999")).toBe("XXXX-XXXX-9999");
     });
 
     test('Another valid input', () => {
-      expect(maskAadhaar("567890123456")).toBe("XXXX-XXXX-3456");
+      expect(maskAadhaar("567890123458")).toBe("XXXX-XXXX-3458");
     });
   });
 
   describe('Output format', () => {
     test('Output has exactly 14 characters (XXXX-XXXX-1234)', () => {
-      expect(maskAadhaar("123456789012").length).toBe(14);
+      expect(maskAadhaar("234567890129").length).toBe(14);
     });
 
     test('Dashes at correct positions (index 4 and 9)', () => {
-      const result = maskAadhaar("123456789012");
+      const result = maskAadhaar("234567890129");
       expect(result[4]).toBe("-");
       expect(result[9]).toBe("-");
     });
 
     test('First 8 masked characters are all X', () => {
-      const result = maskAadhaar("123456789012");
+      const result = maskAadhaar("234567890129");
       expect(result.slice(0, 4)).toBe("XXXX");
       expect(result.slice(5, 9)).toBe("XXXX");
     });
@@ -55,12 +53,12 @@ describe('01 - Aadhaar Number Masker (7 pts)', () => {
       expect(maskAadhaar("12345678abcd")).toBe("INVALID");
     });
 
-    test('Contains dashes returns INVALID', () => {
-      expect(maskAadhaar("1234-5678-1234")).toBe("INVALID");
+    test('Doubled dashes return INVALID', () => {
+      expect(maskAadhaar("2345--6781-2342")).toBe("INVALID");
     });
 
-    test('Contains spaces returns INVALID', () => {
-      expect(maskAadhaar("1234 5678 1234")).toBe("INVALID");
+    test('Leading dash returns INVALID', () => {
+      expect(maskAadhaar("-234567812342")).toBe("INVALID");
     });
 
     test('Number input (not string) returns INVALID', () => {
@@ -79,4 +77,217 @@ describe('01 - Aadhaar Number Masker (7 pts)', () => {
       expect(maskAadhaar("")).toBe("INVALID");
     });
   });
+
+  describe('UIDAI rules and Verhoeff checksum', () => {
+    test('All zeros returns INVALID', () => {
+      expect(maskAadhaar("000000000000")).toBe("INVALID");
+    });
+
+    test('First digit 1 returns INVALID', () => {
+      expect(maskAadhaar("123456781234")).toBe("INVALID");
+    });
+
+    test('Single-digit typo fails the checksum', () => {
+      expect(maskAadhaar("234567812343")).toBe("INVALID");
+    });
+
+    test('Swapped adjacent digits fail the checksum', () => {
+      expect(maskAadhaar("243567812342")).toBe("INVALID");
+    });
+
+    test('isValidVerhoeff accepts valid and rejects broken numbers', () => {
+      expect(isValidVerhoeff("234567812342")).toBe(true);
+      expect(isValidVerhoeff("234567812343")).toBe(false);
+      expect(isValidVerhoeff("")).toBe(false);
+      expect(isValidVerhoeff(234567812342)).toBe(false);
+    });
+  });
+
+  describe('Detailed result mode', () => {
+    test('Valid number returns masked value and null reason', () => {
+      expect(maskAadhaar("234567812342", { detailed: true })).toEqual({
+        valid: true, type: "aadhaar", masked: "XXXX-XXXX-2342", reason: null
+      });
+    });
+
+    test('Each rejection carries its own reason', () => {
+      const reasonFor = (input) => maskAadhaar(input, { detailed: true }).reason;
+      expect(reasonFor(null)).toBe("NOT_A_STRING");
+      expect(reasonFor("9876")).toBe("INVALID_LENGTH");
+      expect(reasonFor("23456781234a")).toBe("NON_DIGIT_CHARACTERS");
+      expect(reasonFor("012345678901")).toBe("INVALID_FIRST_DIGIT");
+      expect(reasonFor("234567812343")).toBe("CHECKSUM_MISMATCH");
+    });
+
+    test('Rejected number reports valid false and masked INVALID', () => {
+      const result = maskAadhaar("000000000000", { detailed: true });
+      expect(result.valid).toBe(false);
+      expect(result.masked).toBe("INVALID");
+      expect(result.type).toBe(null);
+    });
+  });
+
+  describe('Masking policies', () => {
+    test('Default preset matches the plain call', () => {
+      expect(maskAadhaar("234567812342", { preset: "uidai-default" }))
+        .toBe(maskAadhaar("234567812342"));
+    });
+
+    test('first-last-4 preset shows both ends', () => {
+      expect(maskAadhaar("234567812342", { preset: "first-last-4" }))
+        .toBe("2345-XXXX-2342");
+    });
+
+    test('full-redact preset reveals nothing', () => {
+      expect(maskAadhaar("234567812342", { preset: "full-redact" }))
+        .toBe("XXXX-XXXX-XXXX");
+    });
+
+    test('Custom mask character and space grouping', () => {
+      expect(maskAadhaar("234567812342", { maskChar: "•", separator: " " }))
+        .toBe("•••• •••• 2342");
+    });
+
+    test('Empty separator drops the grouping', () => {
+      expect(maskAadhaar("234567812342", { separator: "" }))
+        .toBe("XXXXXXXX2342");
+    });
+
+    test('Overrides apply on top of a preset', () => {
+      expect(maskAadhaar("234567812342", { preset: "first-last-4", visibleEnd: 0 }))
+        .toBe("2345-XXXX-XXXX");
+    });
+
+    test('Invalid number still returns INVALID under any policy', () => {
+      expect(maskAadhaar("000000000000", { preset: "first-last-4" })).toBe("INVALID");
+    });
+
+    test('Detailed mode uses the chosen policy', () => {
+      expect(maskAadhaar("234567812342", { preset: "full-redact", detailed: true }).masked)
+        .toBe("XXXX-XXXX-XXXX");
+    });
+
+    test('Unknown preset throws RangeError', () => {
+      expect(() => maskAadhaar("234567812342", { preset: "show-all" })).toThrow(RangeError);
+    });
+
+    test('Multi-character maskChar throws RangeError', () => {
+      expect(() => maskAadhaar("234567812342", { maskChar: "XX" })).toThrow(RangeError);
+    });
+
+    test('Presets are frozen', () => {
+      expect(Object.isFrozen(MASKING_PRESETS["uidai-default"])).toBe(true);
+    });
+  });
+
+  describe('Formatted and Unicode-digit input', () => {
+    test('Space-grouped input masks correctly', () => {
+      expect(maskAadhaar("2345 6781 2342")).toBe("XXXX-XXXX-2342");
+    });
+
+    test('Dash-grouped input masks correctly', () => {
+      expect(maskAadhaar("2345-6781-2342")).toBe("XXXX-XXXX-2342");
+    });
+
+    test('Surrounding whitespace is ignored', () => {
+      expect(maskAadhaar("  2345 6781 2342 ")).toBe("XXXX-XXXX-2342");
+    });
+
+    test('Devanagari digits are converted to ASCII', () => {
+      expect(maskAadhaar("२३४५ ६७८१ २३४२")).toBe("XXXX-XXXX-2342");
+    });
+
+    test('Full-width digits are converted to ASCII', () => {
+      expect(maskAadhaar("２３４５６７８１２３４２")).toBe("XXXX-XXXX-2342");
+    });
+
+    test('Mixed garbage is still rejected', () => {
+      expect(maskAadhaar("2345 67ab 2342")).toBe("INVALID");
+      expect(maskAadhaar("2345.6781.2342")).toBe("INVALID");
+    });
+
+    test('Separators must split 4-4-4 with one separator kind', () => {
+      expect(maskAadhaar("2 3 4 5 6 7 8 1 2 3 4 2")).toBe("INVALID");
+      expect(maskAadhaar("23456 78123 42")).toBe("INVALID");
+      expect(maskAadhaar("2345-6781 2342")).toBe("INVALID");
+      expect(maskAadhaar("2345 67812342")).toBe("INVALID");
+      expect(normalizeAadhaarInput("2345 6781 2342 ")).toBe("234567812342");
+    });
+
+    test('VIDs group 4-4-4-4', () => {
+      expect(maskAadhaar("2345 6781 2345 6784")).toBe("XXXX-XXXX-XXXX-6784");
+      expect(maskAadhaar("2345 6781 23456784")).toBe("INVALID");
+    });
+
+    test('Digits from mixed scripts are rejected', () => {
+      expect(maskAadhaar("२३४५ 6781 2342", { detailed: true }).reason)
+        .toBe("MIXED_DIGIT_SCRIPTS");
+    });
+
+    test('Checksum still applies after normalising', () => {
+      expect(maskAadhaar("2345 6781 2343")).toBe("INVALID");
+    });
+
+    test('normalizeAadhaarInput returns ASCII digits or null', () => {
+      expect(normalizeAadhaarInput("२३४५-६७८१-२३४२")).toBe("234567812342");
+      expect(normalizeAadhaarInput("2345 67ab 2342")).toBe(null);
+      expect(normalizeAadhaarInput(42)).toBe(null);
+    });
+  });
+
+  describe('Virtual IDs and already-masked input', () => {
+    test('16-digit VID is masked in its own layout', () => {
+      expect(maskAadhaar("2345678123456784")).toBe("XXXX-XXXX-XXXX-6784");
+    });
+
+    test('Formatted VID is accepted', () => {
+      expect(maskAadhaar("4987 6543 2109 8763")).toBe("XXXX-XXXX-XXXX-8763");
+    });
+
+    test('VID detailed result reports type vid', () => {
+      expect(maskAadhaar("2345678123456784", { detailed: true })).toEqual({
+        valid: true, type: "vid", masked: "XXXX-XXXX-XXXX-6784", reason: null
+      });
+    });
+
+    test('VID with a bad check digit is rejected', () => {
+      expect(maskAadhaar("2345678123456785", { detailed: true }).reason)
+        .toBe("CHECKSUM_MISMATCH");
+    });
+
+    test('VID follows the chosen policy', () => {
+      expect(maskAadhaar("2345678123456784", { preset: "first-last-4" }))
+        .toBe("2345-XXXX-XXXX-6784");
+    });
+
+    test('Already-masked Aadhaar passes through', () => {
+      expect(maskAadhaar("XXXX XXXX 2342", { detailed: true })).toEqual({
+        valid: true, type: "masked-aadhaar", masked: "XXXX-XXXX-2342", reason: null
+      });
+    });
+
+    test('Other common mask styles are recognised', () => {
+      expect(maskAadhaar("xxxx-xxxx-2342")).toBe("XXXX-XXXX-2342");
+      expect(maskAadhaar("********2342")).toBe("XXXX-XXXX-2342");
+    });
+
+    test('Masked input never reveals first digits, even with first-last-4', () => {
+      expect(maskAadhaar("XXXX XXXX 2342", { preset: "first-last-4" }))
+        .toBe("XXXX-XXXX-2342");
+      expect(maskAadhaar("XXXX XXXX 2342", { preset: "full-redact" }))
+        .toBe("XXXX-XXXX-XXXX");
+    });
+
+    test('Already-masked VID passes through', () => {
+      expect(maskAadhaar("XXXX XXXX XXXX 6784", { detailed: true })).toEqual({
+        valid: true, type: "masked-vid", masked: "XXXX-XXXX-XXXX-6784", reason: null
+      });
+    });
+
+    test('Badly masked input is rejected', () => {
+      expect(maskAadhaar("XXXX XXXX 23")).toBe("INVALID");
+      expect(maskAadhaar("XXXX 6781 2342")).toBe("INVALID");
+      expect(maskAadhaar("XXXX XXXX-2342")).toBe("INVALID");
+    });
+  });
 });
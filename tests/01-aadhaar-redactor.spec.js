@@ -0,0 +1,111 @@
+import { redactAadhaarInText } from '../src/01-aadhaar-redactor.js';
+
+describe('01 - Aadhaar Redactor', () => {
+
+  describe('Finding Aadhaar numbers in text', () => {
+    test('Plain 12-digit number is redacted with its offsets', () => {
+      expect(redactAadhaarInText("Aadhaar: 234567812342, please verify")).toEqual({
+        text: "Aadhaar: XXXX-XXXX-2342, please verify",
+        matches: [{ start: 9, end: 21, masked: "XXXX-XXXX-2342" }]
+      });
+    });
+
+    test('Space and dash grouped numbers are redacted', () => {
+      const result = redactAadhaarInText("A 2345 6781 2342 B 2345-6781-2342");
+      expect(result.text).toBe("A XXXX-XXXX-2342 B XXXX-XXXX-2342");
+      expect(result.matches.map(m => [m.start, m.end])).toEqual([[2, 16], [19, 33]]);
+    });
+
+    test('Devanagari digits are redacted', () => {
+      expect(redactAadhaarInText("नंबर २३४५ ६७८१ २३४२ है").text)
+        .toBe("नंबर XXXX-XXXX-2342 है");
+    });
+
+    test('Works on CSV rows', () => {
+      expect(redactAadhaarInText("Rahul,234567812342,Pune").text)
+        .toBe("Rahul,XXXX-XXXX-2342,Pune");
+      expect(redactAadhaarInText("Rahul,234567812342,500").text)
+        .toBe("Rahul,XXXX-XXXX-2342,500");
+      expect(redactAadhaarInText("Rahul,2345 6781 2342,2024-01-05").text)
+        .toBe("Rahul,XXXX-XXXX-2342,2024-01-05");
+      expect(redactAadhaarInText("234567812342,234567812342").text)
+        .toBe("XXXX-XXXX-2342,XXXX-XXXX-2342");
+    });
+
+    test('Virtual IDs are redacted as a whole', () => {
+      expect(redactAadhaarInText("My VID is 2345 6781 0000 1001")).toEqual({
+        text: "My VID is XXXX-XXXX-XXXX-1001",
+        matches: [{ start: 10, end: 29, masked: "XXXX-XXXX-XXXX-1001" }]
+      });
+      expect(redactAadhaarInText("VID 2345678100001001 ok").text).toBe("VID XXXX-XXXX-XXXX-1001 ok");
+    });
+
+    test('Masking options are passed through', () => {
+      expect(redactAadhaarInText("id 234567812342", { preset: "full-redact" }).text)
+        .toBe("id XXXX-XXXX-XXXX");
+    });
+  });
+
+  describe('Leaving other numbers alone', () => {
+    test('Number failing the checksum is not touched', () => {
+      expect(redactAadhaarInText("code 234567812343")).toEqual({
+        text: "code 234567812343", matches: []
+      });
+    });
+
+    test('Phone numbers are not touched', () => {
+      const text = "Call +919876543210 or 98765 43210";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+
+    test('Labelled phone number that passes the checksum is not touched', () => {
+      const text = "Mobile: 234567812342";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+
+    test('PNR numbers are not touched', () => {
+      const text = "PNR 1234567890 confirmed";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+
+    test('UPI transaction IDs are not touched', () => {
+      const text = "UTR 234567812342 and txn id: 234567812342, ref T234567812342";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+
+    test('Longer digit runs are not touched', () => {
+      const text = "Order 2345678123421 and 1234567812342";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+
+    test('First three groups of a longer grouped run are not touched', () => {
+      const text = "Card 2345 6781 2342 5678 and 9999-2345-6781-2342";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+
+    test('Mixed separators do not match', () => {
+      const text = "2345 6781-2342";
+      expect(redactAadhaarInText(text).text).toBe(text);
+    });
+  });
+
+  describe('Options', () => {
+    test('detailed is ignored, matches stay strings', () => {
+      expect(redactAadhaarInText("id 2345 6781 2342 ok", { detailed: true })).toEqual({
+        text: "id XXXX-XXXX-2342 ok",
+        matches: [{ start: 3, end: 17, masked: "XXXX-XXXX-2342" }]
+      });
+    });
+  });
+
+  describe('Validation', () => {
+    test('Non-string input returns null', () => {
+      expect(redactAadhaarInText(null)).toBe(null);
+      expect(redactAadhaarInText(234567812342)).toBe(null);
+    });
+
+    test('Empty string returns empty result', () => {
+      expect(redactAadhaarInText("")).toEqual({ text: "", matches: [] });
+    });
+  });
+});
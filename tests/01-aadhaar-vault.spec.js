@@ -0,0 +1,87 @@
+import { tokenize, detokenize, maskFromToken } from '../src/01-aadhaar-vault.js';
+
+const KEY = "test-vault-key-0123456789abcdef";
+const OTHER_KEY = "another-vault-key-fedcba987654";
+
+describe('01 - Aadhaar Vault', () => {
+
+  describe('tokenize', () => {
+    test('Token carries version, type and last 4 only', () => {
+      const token = tokenize("234567812342", KEY);
+      expect(token).toMatch(/^avt1\.a\.2342\.[A-Za-z0-9_-]+$/);
+      expect(token).not.toContain("23456781");
+    });
+
+    test('Same number and key always give the same token', () => {
+      expect(tokenize("2345 6781 2342", KEY)).toBe(tokenize("234567812342", KEY));
+    });
+
+    test('Different keys give different tokens', () => {
+      expect(tokenize("234567812342", KEY)).not.toBe(tokenize("234567812342", OTHER_KEY));
+    });
+
+    test('VID tokens are marked with v', () => {
+      expect(tokenize("2345678123456784", KEY)).toMatch(/^avt1\.v\.6784\./);
+    });
+
+    test('Invalid or already-masked numbers return null', () => {
+      expect(tokenize("234567812343", KEY)).toBe(null);
+      expect(tokenize("XXXX XXXX 2342", KEY)).toBe(null);
+      expect(tokenize(null, KEY)).toBe(null);
+    });
+
+    test('Missing or short key throws TypeError', () => {
+      expect(() => tokenize("234567812342")).toThrow(TypeError);
+      expect(() => tokenize("234567812342", "short")).toThrow(TypeError);
+    });
+  });
+
+  describe('detokenize', () => {
+    test('Round-trips Aadhaar and VID with the right key', () => {
+      expect(detokenize(tokenize("२३४५ ६७८१ २३४२", KEY), KEY)).toBe("234567812342");
+      expect(detokenize(tokenize("2345678123456784", KEY), KEY)).toBe("2345678123456784");
+    });
+
+    test('Buffer keys work too', () => {
+      const key = Buffer.alloc(32, 7);
+      expect(detokenize(tokenize("234567812342", key), key)).toBe("234567812342");
+    });
+
+    test('Wrong key returns null', () => {
+      expect(detokenize(tokenize("234567812342", KEY), OTHER_KEY)).toBe(null);
+    });
+
+    test('Tampered last 4 in the header returns null', () => {
+      const token = tokenize("234567812342", KEY).replace("avt1.a.2342", "avt1.a.9999");
+      expect(detokenize(token, KEY)).toBe(null);
+    });
+
+    test('Malformed tokens return null', () => {
+      expect(detokenize("avt1.a.2342.", KEY)).toBe(null);
+      expect(detokenize("avt1.a.2342.AAAA", KEY)).toBe(null);
+      expect(detokenize("hello", KEY)).toBe(null);
+      expect(detokenize(42, KEY)).toBe(null);
+    });
+  });
+
+  describe('maskFromToken', () => {
+    test('Masks without a key', () => {
+      expect(maskFromToken(tokenize("234567812342", KEY))).toBe("XXXX-XXXX-2342");
+    });
+
+    test('VID token keeps the VID layout', () => {
+      expect(maskFromToken(tokenize("2345678123456784", KEY))).toBe("XXXX-XXXX-XXXX-6784");
+    });
+
+    test('Masking options are honoured', () => {
+      const token = tokenize("234567812342", KEY);
+      expect(maskFromToken(token, { maskChar: "•", separator: " " })).toBe("•••• •••• 2342");
+      expect(maskFromToken(token, { preset: "full-redact" })).toBe("XXXX-XXXX-XXXX");
+    });
+
+    test('Broken token returns INVALID', () => {
+      expect(maskFromToken("nope")).toBe("INVALID");
+      expect(maskFromToken("nope", { detailed: true }).reason).toBe("INVALID_TOKEN");
+    });
+  });
+});
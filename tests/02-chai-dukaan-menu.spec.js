@@ -93,4 +93,53 @@ describe('02 - Raju ki Chai Dukaan Menu (7 pts)', () => {
       expect(formatChaiMenu(undefined)).toBe("");
     });
   });
+
+  describe('Structured menu', () => {
+    const menu = {
+      categories: [
+        { name: "Chai", items: [
+          { name: "masala chai", variants: [
+            { name: "cutting", price: 10 }, { name: "full", price: 15 }
+          ] },
+          { name: "adrak chai", price: 12 }
+        ] },
+        { name: "Snacks", items: [
+          { name: "samosa", price: 12, soldOut: true },
+          { name: "keema pav", price: 40, veg: false }
+        ] }
+      ]
+    };
+
+    test('Renders categories grouped with variant prices', () => {
+      expect(formatChaiMenu(menu)).toBe(
+        "CHAI: MASALA CHAI - CUTTING Rs.10 / FULL Rs.15 | ADRAK CHAI - Rs.12" +
+        " || SNACKS: SAMOSA - Rs.12 (SOLD OUT) | KEEMA PAV - Rs.40 (NON-VEG)"
+      );
+    });
+
+    test('Invalid variants are dropped, item kept if any variant survives', () => {
+      expect(formatChaiMenu({ categories: [
+        { name: "Chai", items: [{ name: "chai", variants: [
+          { name: "cutting", price: 0 }, { name: "full", price: 15 }
+        ] }] }
+      ] })).toBe("CHAI: CHAI - FULL Rs.15");
+    });
+
+    test('Empty categories are dropped', () => {
+      expect(formatChaiMenu({ categories: [
+        { name: "Combos", items: [{ name: "", price: 50 }] },
+        { name: "Chai", items: [{ name: "chai", price: 10 }] }
+      ] })).toBe("CHAI: CHAI - Rs.10");
+    });
+
+    test('Menu without any valid category returns empty string', () => {
+      expect(formatChaiMenu({ categories: [] })).toBe("");
+      expect(formatChaiMenu({ categories: "chai" })).toBe("");
+    });
+
+    test('Flat array items may also carry sold-out flags', () => {
+      expect(formatChaiMenu([{ name: "chai", price: 10, soldOut: true }]))
+        .toBe("CHAI - Rs.10 (SOLD OUT)");
+    });
+  });
 });
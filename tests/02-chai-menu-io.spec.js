@@ -0,0 +1,232 @@
+import {
+  importMenuFromCsv, importMenuFromJson, exportMenuToCsv, exportMenuToJson
+} from '../src/02-chai-menu-io.js';
+import { formatChaiMenu } from '../src/02-chai-dukaan-menu.js';
+
+const CSV = [
+  "category,name,local_name,variant,price,veg,sold_out",
+  "Chai,masala chai,मसाला चाय,cutting,10,yes,no",
+  "Chai,masala chai,मसाला चाय,full,15,yes,no",
+  "Snacks,\"samosa, aloo\",,,12,yes,yes",
+  "Snacks,keema pav,,,40,no,no"
+].join("\n");
+
+describe('02 - Chai Menu Import/Export', () => {
+
+  describe('importMenuFromCsv', () => {
+    test('Groups variant rows into items under their categories', () => {
+      expect(importMenuFromCsv(CSV)).toEqual({
+        menu: { categories: [
+          { name: "Chai", items: [
+            { name: "masala chai", localName: "मसाला चाय", variants: [
+              { name: "cutting", price: 10 }, { name: "full", price: 15 }
+            ], veg: true, soldOut: false }
+          ] },
+          { name: "Snacks", items: [
+            { name: "samosa, aloo", price: 12, veg: true, soldOut: true },
+            { name: "keema pav", price: 40, veg: false, soldOut: false }
+          ] }
+        ] },
+        report: []
+      });
+    });
+
+    test('Imported menu renders with formatChaiMenu', () => {
+      expect(formatChaiMenu(importMenuFromCsv(CSV).menu)).toBe(
+        "CHAI: MASALA CHAI (मसाला चाय) - CUTTING Rs.10 / FULL Rs.15" +
+        " || SNACKS: SAMOSA, ALOO - Rs.12 (SOLD OUT) | KEEMA PAV - Rs.40 (NON-VEG)"
+      );
+    });
+
+    test('Minimal name,price CSV gives a flat menu', () => {
+      expect(importMenuFromCsv("Name,Price\r\nchai,10\r\n\r\nsamosa,12\r\n").menu).toEqual([
+        { name: "chai", price: 10, veg: true, soldOut: false },
+        { name: "samosa", price: 12, veg: true, soldOut: false }
+      ]);
+    });
+
+    test('Reports every bad row with line, field and reason', () => {
+      const result = importMenuFromCsv([
+        "name,price,veg",
+        "chai,10,yes",
+        ",15,yes",
+        "pani,0,yes",
+        "bun,abc,yes",
+        "vada pav,15,maybe",
+        "kachori,8",
+        "samosa,,yes"
+      ].join("\n"));
+      expect(result.menu).toEqual([{ name: "chai", price: 10, veg: true, soldOut: false }]);
+      expect(result.report).toEqual([
+        { line: 3, field: "name", reason: "Name is empty" },
+        { line: 4, field: "price", reason: "Price must be greater than 0" },
+        { line: 5, field: "price", reason: "Price is not a number" },
+        { line: 6, field: "veg", reason: "Expected yes or no" },
+        { line: 7, field: null, reason: "Expected 3 columns, got 2" },
+        { line: 8, field: "price", reason: "Price is missing" }
+      ]);
+    });
+
+    test('Negative price gets the same reason as in JSON', () => {
+      const csv = importMenuFromCsv("name,price\nchai,-5\nbun, -2.5 ");
+      const json = importMenuFromJson(JSON.stringify([{ name: "chai", price: -5 }]));
+      expect(csv.menu).toEqual([]);
+      expect(csv.report).toEqual([
+        { line: 2, field: "price", reason: "Price must be greater than 0" },
+        { line: 3, field: "price", reason: "Price must be greater than 0" }
+      ]);
+      expect(json.report[0].reason).toBe(csv.report[0].reason);
+    });
+
+    test('Quoted newlines keep the starting line number', () => {
+      const result = importMenuFromCsv("name,price\n\"bun\nmaska\",20\npani,0");
+      expect(result.menu[0].name).toBe("bun\nmaska");
+      expect(result.report).toEqual([{ line: 4, field: "price", reason: "Price must be greater than 0" }]);
+    });
+
+    test('Variant conflicts and mismatched item fields are reported', () => {
+      const result = importMenuFromCsv([
+        "category,name,variant,price,veg",
+        "Chai,chai,cutting,10,yes",
+        "Chai,chai,cutting,12,yes",
+        "Chai,chai,,15,yes",
+        "Chai,chai,full,15,no",
+        ",samosa,,12,yes"
+      ].join("\n"));
+      expect(result.report).toEqual([
+        { line: 3, field: "variant", reason: "Duplicate variant" },
+        { line: 4, field: "variant", reason: "Item with several rows needs a variant name on each" },
+        { line: 5, field: "veg", reason: "Differs from line 2; first value kept" },
+        { line: 6, field: "category", reason: "Category is empty" }
+      ]);
+      expect(result.menu.categories[0].items[0].variants).toEqual([
+        { name: "cutting", price: 10 }, { name: "full", price: 15 }
+      ]);
+    });
+
+    test('Header problems stop the import', () => {
+      expect(importMenuFromCsv("name,cost\nchai,10")).toEqual({
+        menu: null,
+        report: [
+          { line: 1, field: "price", reason: "Missing required column" },
+          { line: 1, field: "cost", reason: "Unknown column" }
+        ]
+      });
+    });
+
+    test('Unclosed quote and empty file are reported', () => {
+      expect(importMenuFromCsv("name,price\n\"chai,10").report)
+        .toEqual([{ line: 2, field: null, reason: "Unclosed quote" }]);
+      expect(importMenuFromCsv("").report)
+        .toEqual([{ line: null, field: null, reason: "File is empty" }]);
+    });
+
+    test('Non-string input returns null', () => {
+      expect(importMenuFromCsv(null)).toBe(null);
+    });
+  });
+
+  describe('importMenuFromJson', () => {
+    test('Reports bad items by item number', () => {
+      const result = importMenuFromJson(JSON.stringify([
+        { name: "chai", price: 10 },
+        { name: "", price: 5 },
+        { name: "pani", price: 0 },
+        "samosa",
+        { name: "chai special", variants: [{ name: "", price: 20 }, { name: "full", price: 25 }] }
+      ]));
+      expect(result.menu).toEqual([
+        { name: "chai", price: 10, veg: true, soldOut: false },
+        { name: "chai special", variants: [{ name: "full", price: 25 }], veg: true, soldOut: false }
+      ]);
+      expect(result.report).toEqual([
+        { line: 2, field: "name", reason: "Name is empty" },
+        { line: 3, field: "price", reason: "Price must be greater than 0" },
+        { line: 4, field: null, reason: "Item is not an object" },
+        { line: 5, field: "variant", reason: "Variant name is empty" }
+      ]);
+    });
+
+    test('Structured menus keep their categories', () => {
+      const result = importMenuFromJson(JSON.stringify({ categories: [
+        { name: "Chai", items: [{ name: "chai", price: 10, soldOut: true }] },
+        { name: "Combos" }
+      ] }));
+      expect(result.menu).toEqual({ categories: [
+        { name: "Chai", items: [{ name: "chai", price: 10, veg: true, soldOut: true }] }
+      ] });
+      expect(result.report).toEqual([{ line: 2, field: "items", reason: "Category has no items array" }]);
+    });
+
+    test('Invalid JSON and wrong shapes are reported', () => {
+      expect(importMenuFromJson("{ nope").report[0].reason).toMatch(/^Invalid JSON/);
+      expect(importMenuFromJson('{ "items": [] }').menu).toBe(null);
+      expect(importMenuFromJson(42)).toBe(null);
+    });
+  });
+
+  describe('Export and round trip', () => {
+    test('CSV export matches the import format', () => {
+      expect(exportMenuToCsv(importMenuFromCsv(CSV).menu)).toBe(CSV);
+    });
+
+    test('CSV round trip is lossless', () => {
+      const { menu } = importMenuFromCsv(CSV);
+      expect(importMenuFromCsv(exportMenuToCsv(menu))).toEqual({ menu, report: [] });
+    });
+
+    test('JSON round trip is lossless', () => {
+      const { menu } = importMenuFromCsv(CSV);
+      expect(importMenuFromJson(exportMenuToJson(menu))).toEqual({ menu, report: [] });
+    });
+
+    test('Export drops items formatChaiMenu would drop', () => {
+      expect(exportMenuToCsv([{ name: "chai", price: 10 }, { name: "pani", price: 0 }])).toBe(
+        "category,name,local_name,variant,price,veg,sold_out\n,chai,,,10,yes,no"
+      );
+    });
+
+    test('Values needing quotes are quoted', () => {
+      expect(exportMenuToCsv([{ name: 'chai "kadak", hot', price: 10 }]))
+        .toContain('"chai ""kadak"", hot"');
+    });
+
+    test('Names are trimmed the way import trims them', () => {
+      const menu = [{ name: " chai ", localName: " चाय", price: 10 }];
+      const csv = exportMenuToCsv(menu);
+      expect(csv).toBe("category,name,local_name,variant,price,veg,sold_out\n,chai,चाय,,10,yes,no");
+      expect(importMenuFromCsv(csv)).toEqual({
+        menu: [{ name: "chai", localName: "चाय", price: 10, veg: true, soldOut: false }],
+        report: []
+      });
+    });
+
+    test('Tiny and huge prices export as plain decimals that import back', () => {
+      const menu = [{ name: "sip", price: 1e-7, veg: true, soldOut: false }, { name: "gold chai", price: 1.5e21, veg: true, soldOut: false }];
+      const csv = exportMenuToCsv(menu);
+      expect(csv).toContain(",sip,,,0.0000001,");
+      expect(csv).toContain(",gold chai,,,1500000000000000000000,");
+      expect(importMenuFromCsv(csv)).toEqual({ menu, report: [] });
+      expect(importMenuFromJson(exportMenuToJson(menu))).toEqual({ menu, report: [] });
+    });
+
+    test('Menus import would merge or drop rows from throw RangeError', () => {
+      const twins = [{ name: "chai", price: 10 }, { name: "chai", price: 12 }];
+      expect(() => exportMenuToCsv(twins)).toThrow(RangeError);
+      expect(() => exportMenuToJson(twins)).toThrow(RangeError);
+      expect(() => exportMenuToCsv([{ name: "chai", price: 10 }, { name: " chai", price: 12 }])).toThrow(RangeError);
+      expect(() => exportMenuToCsv([{ name: "   ", price: 10 }])).toThrow(RangeError);
+      expect(() => exportMenuToCsv([{ name: "chai", variants: [{ name: "full", price: 10 }, { name: "full ", price: 12 }] }]))
+        .toThrow(RangeError);
+      expect(() => exportMenuToCsv({ categories: [
+        { name: "Chai", items: [{ name: "masala", price: 10 }] },
+        { name: "Chai", items: [{ name: "adrak", price: 12 }] }
+      ] })).toThrow(RangeError);
+    });
+
+    test('Invalid menu exports as empty string', () => {
+      expect(exportMenuToCsv(null)).toBe("");
+      expect(exportMenuToJson("menu")).toBe("");
+    });
+  });
+});
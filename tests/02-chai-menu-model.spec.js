@@ -0,0 +1,65 @@
+import { normalizeChaiMenu } from '../src/02-chai-menu-model.js';
+
+describe('02 - Chai Menu Data Model', () => {
+
+  describe('Flat arrays', () => {
+    test('Become a single unnamed category', () => {
+      expect(normalizeChaiMenu([{ name: "chai", price: 10 }])).toEqual({
+        categories: [{ name: null, items: [
+          { name: "chai", localName: null, veg: true, soldOut: false,
+            variants: [{ name: null, price: 10 }] }
+        ] }]
+      });
+    });
+
+    test('Invalid items are filtered out', () => {
+      expect(normalizeChaiMenu([
+        { name: "", price: 10 },
+        { name: 42, price: 10 },
+        { name: "pani", price: 0 },
+        null
+      ])).toEqual({ categories: [] });
+    });
+  });
+
+  describe('Structured menus', () => {
+    test('Keeps categories, variants and flags', () => {
+      expect(normalizeChaiMenu({ categories: [
+        { name: "Chai", items: [
+          { name: "masala chai", localName: "मसाला चाय", veg: true, soldOut: true, variants: [
+            { name: "cutting", price: 10 }, { name: "full", price: 15 }
+          ] }
+        ] }
+      ] })).toEqual({ categories: [
+        { name: "Chai", items: [
+          { name: "masala chai", localName: "मसाला चाय", veg: true, soldOut: true, variants: [
+            { name: "cutting", price: 10 }, { name: "full", price: 15 }
+          ] }
+        ] }
+      ] });
+    });
+
+    test('Variants without a name or valid price are dropped', () => {
+      const menu = normalizeChaiMenu({ categories: [
+        { name: "Chai", items: [{ name: "chai", variants: [
+          { name: "", price: 10 }, { name: "full", price: -1 }, { name: "half", price: 8 }
+        ] }] }
+      ] });
+      expect(menu.categories[0].items[0].variants).toEqual([{ name: "half", price: 8 }]);
+    });
+
+    test('Categories with bad names or no valid items are dropped', () => {
+      expect(normalizeChaiMenu({ categories: [
+        { name: "", items: [{ name: "chai", price: 10 }] },
+        { name: "Snacks", items: [{ name: "samosa", price: 0 }] },
+        { name: "Combos" }
+      ] })).toEqual({ categories: [] });
+    });
+
+    test('Unsupported input returns null', () => {
+      expect(normalizeChaiMenu(null)).toBe(null);
+      expect(normalizeChaiMenu("menu")).toBe(null);
+      expect(normalizeChaiMenu({ items: [] })).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { applyPricingRules } from '../src/02-chai-menu-pricing.js';
+import { normalizeChaiMenu } from '../src/02-chai-menu-model.js';
+import { formatChaiMenu } from '../src/02-chai-dukaan-menu.js';
+
+const menu = {
+  categories: [
+    { name: "Chai", items: [
+      { name: "masala chai", variants: [
+        { name: "cutting", price: 10 }, { name: "full", price: 15 }
+      ] }
+    ] },
+    { name: "Snacks", items: [{ name: "samosa", price: 12 }] }
+  ]
+};
+
+const pricesAt = (rules, now) =>
+  applyPricingRules(normalizeChaiMenu(menu), rules, now).categories
+    .flatMap(category => category.items)
+    .flatMap(item => item.variants.map(v => [v.price, v.originalPrice]));
+
+describe('02 - Chai Menu Pricing Rules', () => {
+
+  describe('Rule types', () => {
+    test('percent-off lowers the price and keeps the original', () => {
+      expect(pricesAt([{ type: "percent-off", value: 20 }], "12:00"))
+        .toEqual([[8, 10], [12, 15], [9.6, 12]]);
+    });
+
+    test('surcharge raises the price', () => {
+      expect(pricesAt([{ type: "surcharge", value: 10, categories: ["snacks"] }], "12:00"))
+        .toEqual([[10, null], [15, null], [13.2, 12]]);
+    });
+
+    test('fixed-price sets the price', () => {
+      expect(pricesAt([{ type: "fixed-price", value: 7, variants: ["cutting"] }], "12:00"))
+        .toEqual([[7, 10], [15, null], [12, null]]);
+    });
+
+    test('buy-x-get-y adds an offer without changing the price', () => {
+      const result = applyPricingRules(normalizeChaiMenu(menu), [
+        { type: "buy-x-get-y", buy: 2, get: 1, items: ["Samosa"] }
+      ], "12:00");
+      const samosa = result.categories[1].items[0];
+      expect(samosa.offers).toEqual(["BUY 2 GET 1"]);
+      expect(samosa.variants[0]).toEqual({ name: null, price: 12, originalPrice: null });
+    });
+
+    test('buy-x-get-y with a variants filter skips items without that variant', () => {
+      const result = applyPricingRules(normalizeChaiMenu(menu), [
+        { type: "buy-x-get-y", buy: 2, get: 1, variants: ["cutting"] }
+      ], "12:00");
+      expect(result.categories[0].items[0].offers).toEqual(["BUY 2 GET 1"]);
+      expect(result.categories[1].items[0].offers).toEqual([]);
+    });
+
+    test('A deep discount never makes an item free', () => {
+      expect(pricesAt([{ type: "percent-off", value: 99.96, variants: ["cutting"] }], "12:00")[0])
+        .toEqual([0.01, 10]);
+      expect(formatChaiMenu([{ name: "chai", price: 1 }], {
+        pricing: { rules: [{ type: "percent-off", value: 99.6 }], now: "12:00" }
+      })).toBe("CHAI - R̶s̶.̶1̶ Rs.0.01");
+    });
+
+    test('First matching price rule wins', () => {
+      expect(pricesAt([
+        { type: "fixed-price", value: 5, variants: ["cutting"] },
+        { type: "percent-off", value: 50 }
+      ], "12:00")).toEqual([[5, 10], [7.5, 15], [6, 12]]);
+    });
+  });
+
+  describe('Time windows', () => {
+    const morning = [{ type: "percent-off", value: 20, from: "06:00", to: "10:00", variants: ["cutting"] }];
+    const lateNight = [{ type: "surcharge", value: 10, from: "23:00", to: "02:00", items: ["samosa"] }];
+
+    test('Rule applies inside its window', () => {
+      expect(pricesAt(morning, "07:30")[0]).toEqual([8, 10]);
+    });
+
+    test('Window end is exclusive', () => {
+      expect(pricesAt(morning, "10:00")[0]).toEqual([10, null]);
+    });
+
+    test('Windows can wrap past midnight', () => {
+      expect(pricesAt(lateNight, "23:30")[2]).toEqual([13.2, 12]);
+      expect(pricesAt(lateNight, "01:59")[2]).toEqual([13.2, 12]);
+      expect(pricesAt(lateNight, "02:00")[2]).toEqual([12, null]);
+    });
+
+    test('Date objects use local time', () => {
+      expect(pricesAt(morning, new Date(2026, 9, 18, 6, 15))[0]).toEqual([8, 10]);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Bad rules throw RangeError', () => {
+      const base = normalizeChaiMenu(menu);
+      expect(() => applyPricingRules(base, [{ type: "free-chai" }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "percent-off", value: -5 }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "percent-off", value: 120 }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "percent-off", value: 100 }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 10, items: "chai" }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 10, items: [5] }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 10, categories: {} }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 10, variants: [null] }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "buy-x-get-y", buy: 2 }], "12:00")).toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 5, from: "25:00", to: "02:00" }], "12:00"))
+        .toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 5, from: "22:00" }], "12:00"))
+        .toThrow(RangeError);
+      expect(() => applyPricingRules(base, [{ type: "surcharge", value: 5, from: "06:00", to: "06:00" }], "12:00"))
+        .toThrow(RangeError);
+    });
+
+    test('Bad time throws RangeError', () => {
+      expect(() => applyPricingRules(normalizeChaiMenu(menu), [], "noon")).toThrow(RangeError);
+    });
+  });
+
+  describe('Rendering through formatChaiMenu', () => {
+    const pricing = {
+      rules: [
+        { type: "percent-off", value: 20, from: "06:00", to: "10:00", variants: ["cutting"] },
+        { type: "buy-x-get-y", buy: 2, get: 1, items: ["samosa"] }
+      ],
+      now: "07:30"
+    };
+
+    test('Text strikes the original price with U+0336', () => {
+      expect(formatChaiMenu(menu, { pricing })).toBe(
+        "CHAI: MASALA CHAI - CUTTING R̶s̶.̶1̶0̶ Rs.8 / FULL Rs.15" +
+        " || SNACKS: SAMOSA - Rs.12 (BUY 2 GET 1)"
+      );
+    });
+
+    test('Each format uses its own strikethrough', () => {
+      expect(formatChaiMenu(menu, { pricing, format: "html" })).toContain("CUTTING <s>Rs.10</s> Rs.8");
+      expect(formatChaiMenu(menu, { pricing, format: "markdown" })).toContain("CUTTING ~~Rs.10~~ Rs.8");
+      expect(formatChaiMenu(menu, { pricing, format: "whatsapp" })).toContain("CUTTING ~Rs.10~ Rs.8");
+    });
+
+    test('Receipt keeps its 32-column layout', () => {
+      const line = formatChaiMenu(menu, { pricing, format: "receipt" }).split("\n")[2];
+      expect([...new Intl.Segmenter().segment(line)].length).toBe(32);
+      expect(line.endsWith(" Rs.8")).toBe(true);
+    });
+
+    test('Receipt puts a price too wide for the line under its label', () => {
+      const receipt = formatChaiMenu([{ name: "cutting chai", price: 100000 }], {
+        format: "receipt", width: 16, locale: "en-IN",
+        pricing: { rules: [{ type: "percent-off", value: 10 }], now: "07:00" }
+      });
+      expect(receipt.split("\n")).toEqual(["CUTTING CHAI", "₹̶1̶,̶0̶0̶,̶0̶0̶0̶.̶0̶0̶ ₹90,000.00"]);
+    });
+
+    test('Outside every window the menu is unchanged', () => {
+      expect(formatChaiMenu(menu, { pricing: { ...pricing, rules: pricing.rules.slice(0, 1), now: "18:00" } }))
+        .toBe(formatChaiMenu(menu));
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { formatChaiMenu } from '../src/02-chai-dukaan-menu.js';
+import { registerMenuRenderer, getMenuRenderer } from '../src/02-chai-menu-renderers.js';
+
+const menu = {
+  categories: [
+    { name: "Chai", items: [
+      { name: "masala chai", variants: [
+        { name: "cutting", price: 10 }, { name: "full", price: 15 }
+      ] },
+      { name: "adrak <chai>", price: 12 }
+    ] },
+    { name: "Snacks", items: [
+      { name: "samosa", price: 12, soldOut: true }
+    ] }
+  ]
+};
+
+describe('02 - Chai Menu Renderers', () => {
+
+  describe('receipt', () => {
+    test('Every line is exactly 32 columns with right-aligned prices', () => {
+      const lines = formatChaiMenu(menu, { format: "receipt" }).split("\n").filter(Boolean);
+      lines.forEach(line => expect(line.length).toBeLessThanOrEqual(32));
+      expect(lines).toEqual([
+        "------------- CHAI -------------",
+        "MASALA CHAI",
+        "  CUTTING..................Rs.10",
+        "  FULL.....................Rs.15",
+        "ADRAK <CHAI>...............Rs.12",
+        "------------ SNACKS ------------",
+        "SAMOSA (SOLD OUT)..........Rs.12"
+      ]);
+    });
+
+    test('Custom width and long names are truncated to keep a leader', () => {
+      const result = formatChaiMenu(
+        [{ name: "special kulhad masala chai with malai", price: 120 }],
+        { format: "receipt", width: 24 }
+      );
+      expect(result).toBe("SPECIAL KULHAD MA.Rs.120");
+      expect(result.length).toBe(24);
+    });
+  });
+
+  describe('html', () => {
+    test('Renders sections and escapes text', () => {
+      const html = formatChaiMenu(menu, { format: "html" });
+      expect(html).toContain("<h2>CHAI</h2>");
+      expect(html).toContain('<span class="name">ADRAK &lt;CHAI&gt;</span>');
+      expect(html).not.toContain("<CHAI>");
+      expect(html).toContain('<li class="menu-item sold-out">');
+      expect(html).toContain('<span class="tag">SOLD OUT</span>');
+    });
+  });
+
+  describe('markdown', () => {
+    test('Renders headings and bold item names', () => {
+      expect(formatChaiMenu(menu, { format: "markdown" })).toBe([
+        "## CHAI",
+        "",
+        "- **MASALA CHAI** — CUTTING Rs.10 / FULL Rs.15",
+        "- **ADRAK \\<CHAI\\>** — Rs.12",
+        "",
+        "## SNACKS",
+        "",
+        "- **SAMOSA** — Rs.12 _(SOLD OUT)_"
+      ].join("\n"));
+    });
+  });
+
+  describe('whatsapp', () => {
+    test('Bold categories and italic tags', () => {
+      expect(formatChaiMenu(menu, { format: "whatsapp" })).toBe([
+        "*CHAI*",
+        "MASALA CHAI - CUTTING Rs.10 / FULL Rs.15",
+        "ADRAK <CHAI> - Rs.12",
+        "",
+        "*SNACKS*",
+        "SAMOSA - Rs.12 _(SOLD OUT)_"
+      ].join("\n"));
+    });
+
+    test('Marker characters in names are stripped', () => {
+      expect(formatChaiMenu([{ name: "*bun* maska", price: 20 }], { format: "whatsapp" }))
+        .toBe("BUN MASKA - Rs.20");
+    });
+  });
+
+  describe('Shared rules', () => {
+    test('Every format drops the same invalid items', () => {
+      const items = [{ name: "chai", price: 10 }, { name: "", price: 5 }, { name: "pani", price: 0 }];
+      ["text", "receipt", "html", "markdown", "whatsapp"].forEach(format => {
+        const result = formatChaiMenu(items, { format });
+        expect(result).toContain("CHAI");
+        expect(result).not.toContain("PANI");
+      });
+    });
+
+    test('Empty menu is an empty string in every format', () => {
+      ["text", "receipt", "html", "markdown", "whatsapp"].forEach(format => {
+        expect(formatChaiMenu([], { format })).toBe("");
+      });
+    });
+
+    test('Unknown format throws RangeError', () => {
+      expect(() => formatChaiMenu(menu, { format: "pdf" })).toThrow(RangeError);
+    });
+
+    test('Custom renderers can be registered', () => {
+      registerMenuRenderer("count", (view) => `${view.categories.length} categories`);
+      expect(getMenuRenderer("count")).toBeInstanceOf(Function);
+      expect(formatChaiMenu(menu, { format: "count" })).toBe("2 categories");
+    });
+
+    test('Registering a non-function throws TypeError', () => {
+      expect(() => registerMenuRenderer("bad", "nope")).toThrow(TypeError);
+    });
+  });
+
+  describe('Locale prices and bilingual names', () => {
+    const items = [
+      { name: "masala chai", localName: "मसाला चाय", price: 15 },
+      { name: "family combo", price: 120000 }
+    ];
+
+    test('Without a locale prices stay Rs.PRICE', () => {
+      expect(formatChaiMenu(items))
+        .toBe("MASALA CHAI (मसाला चाय) - Rs.15 | FAMILY COMBO - Rs.120000");
+    });
+
+    test('en-IN locale uses rupee symbol and Indian grouping', () => {
+      expect(formatChaiMenu(items, { locale: "en-IN" }))
+        .toBe("MASALA CHAI (मसाला चाय) - ₹15.00 | FAMILY COMBO - ₹1,20,000.00");
+    });
+
+    test('Fraction digits and currency spacing can be set', () => {
+      expect(formatChaiMenu(items, { locale: "en-IN", fractionDigits: 0, currencySpacing: true }))
+        .toBe("MASALA CHAI (मसाला चाय) - ₹ 15 | FAMILY COMBO - ₹ 1,20,000");
+    });
+
+    test('Local names can be hidden', () => {
+      expect(formatChaiMenu(items, { localNames: false }))
+        .toBe("MASALA CHAI - Rs.15 | FAMILY COMBO - Rs.120000");
+    });
+
+    test('Uppercasing leaves caseless scripts alone', () => {
+      expect(formatChaiMenu([{ name: "इलायची chai", price: 12 }]))
+        .toBe("इलायची CHAI - Rs.12");
+    });
+
+    test('Uppercasing follows the locale rules', () => {
+      expect(formatChaiMenu([{ name: "istanbul chai", price: 5 }], { locale: "tr-TR", currency: "INR" }))
+        .toMatch(/^İSTANBUL CHAİ - /);
+    });
+
+    test('Receipt pads by visible characters, not code units', () => {
+      const line = formatChaiMenu([items[0]], { format: "receipt", locale: "en-IN" });
+      expect([...new Intl.Segmenter().segment(line)].length).toBe(32);
+      expect(line.endsWith("₹15.00")).toBe(true);
+    });
+
+    test('Every renderer gets the formatted price', () => {
+      ["html", "markdown", "whatsapp"].forEach(format => {
+        expect(formatChaiMenu(items, { format, locale: "en-IN" })).toContain("₹1,20,000.00");
+      });
+    });
+  });
+});
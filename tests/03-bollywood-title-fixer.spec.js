@@ -1,4 +1,4 @@
-import { fixBollywoodTitle } from '../src/03-bollywood-title-fixer.js';
+import { fixBollywoodTitle, registerTitleStyle, getTitleStyle } from '../src/03-bollywood-title-fixer.js';
 
 describe('03 - Bollywood Movie Title Fixer (8 pts)', () => {
 
@@ -89,4 +89,165 @@ describe('03 - Bollywood Movie Title Fixer (8 pts)', () => {
       expect(fixBollywoodTitle(undefined)).toBe("");
     });
   });
+
+  describe('Language and style profiles', () => {
+    test('Default style keeps the original list', () => {
+      expect(fixBollywoodTitle("singh is the king", { style: "default" }))
+        .toBe("Singh Is the King");
+    });
+
+    test('Punjabi small words stay lowercase', () => {
+      expect(fixBollywoodTitle("jatt da pyaar", { style: "punjabi" }))
+        .toBe("Jatt da Pyaar");
+    });
+
+    test('Hindi profile knows mein and ko', () => {
+      expect(fixBollywoodTitle("dil mein mere hai dard ko", { style: "hindi" }))
+        .toBe("Dil mein Mere Hai Dard ko");
+    });
+
+    test('Telugu profile', () => {
+      expect(fixBollywoodTitle("nuvvu naaku nachav lo", { style: "telugu" }))
+        .toBe("Nuvvu Naaku Nachav lo");
+    });
+
+    test('AP style capitalizes long prepositions and the last word', () => {
+      expect(fixBollywoodTitle("a walk through the clouds of love", { style: "ap" }))
+        .toBe("A Walk Through the Clouds of Love");
+      expect(fixBollywoodTitle("what we are fighting for", { style: "ap" }))
+        .toBe("What We Are Fighting For");
+    });
+
+    test('Chicago style lowercases every preposition', () => {
+      expect(fixBollywoodTitle("a walk through the clouds of love", { style: "chicago" }))
+        .toBe("A Walk through the Clouds of Love");
+    });
+
+    test('Custom styles can be registered and extended', () => {
+      registerTitleStyle("marathi", { words: ["cha", "chi"], extends: "hindi" });
+      expect(fixBollywoodTitle("lagna cha dhol aur baja", { style: "marathi" }))
+        .toBe("Lagna cha Dhol aur Baja");
+      expect(getTitleStyle("marathi").words.has("mein")).toBe(true);
+    });
+
+    test('Unknown style throws RangeError', () => {
+      expect(() => fixBollywoodTitle("sholay", { style: "klingon" })).toThrow(RangeError);
+    });
+
+    test('Bad word list throws TypeError', () => {
+      expect(() => registerTitleStyle("bad", { words: "ka ki" })).toThrow(TypeError);
+    });
+  });
+
+  describe('Acronyms, numerals and stylised casing', () => {
+    test('Vowel-less acronyms survive an all-caps title', () => {
+      expect(fixBollywoodTitle("DDLJ THE MOVIE")).toBe("DDLJ the Movie");
+    });
+
+    test('Acronyms with vowels are kept as protected words', () => {
+      expect(fixBollywoodTitle("raat AKA din", { protectedWords: ["AKA"] })).toBe("Raat AKA Din");
+      expect(fixBollywoodTitle("jab we met in nyc", { protectedWords: ["NYC"] })).toBe("Jab We Met in NYC");
+    });
+
+    test('Caps words in a mixed-case title are fixed', () => {
+      expect(fixBollywoodTitle("jab we MET")).toBe("Jab We Met");
+      expect(fixBollywoodTitle("HUM aapke HAIN koun")).toBe("Hum Aapke Hain Koun");
+      expect(fixBollywoodTitle("TUM bin")).toBe("Tum Bin");
+      expect(fixBollywoodTitle("dilwale DULHANIA le jayenge")).toBe("Dilwale Dulhania Le Jayenge");
+      expect(fixBollywoodTitle("main hoon LOVER")).toBe("Main Hoon Lover");
+      expect(fixBollywoodTitle("pyaar KA punchnama")).toBe("Pyaar ka Punchnama");
+    });
+
+    test('"Y" counts as a vowel, so ordinary caps words are not acronyms', () => {
+      expect(fixBollywoodTitle("MY NAME IS KHAN")).toBe("My Name Is Khan");
+      expect(fixBollywoodTitle("LUCK BY CHANCE")).toBe("Luck By Chance");
+      expect(fixBollywoodTitle("CRY BABY")).toBe("Cry Baby");
+    });
+
+    test('All-caps title with vowels is still Title Cased', () => {
+      expect(fixBollywoodTitle("SHOLAY")).toBe("Sholay");
+    });
+
+    test('Protected words keep their casing even when typed lowercase', () => {
+      expect(fixBollywoodTitle("pk")).toBe("PK");
+      expect(fixBollywoodTitle("ddlj ki kahani")).toBe("DDLJ ki Kahani");
+    });
+
+    test('Caller can add protected words', () => {
+      expect(fixBollywoodTitle("iphone ki kahani", { protectedWords: ["iPhone"] }))
+        .toBe("iPhone ki Kahani");
+    });
+
+    test('Roman numerals are uppercased', () => {
+      expect(fixBollywoodTitle("dhoom ii")).toBe("Dhoom II");
+      expect(fixBollywoodTitle("DON XIV")).toBe("Don XIV");
+    });
+
+    test('Roman numerals are uppercased only as a sequel number', () => {
+      expect(fixBollywoodTitle("race iii: reloaded")).toBe("Race III: Reloaded");
+      expect(fixBollywoodTitle("dhoom ii - reloaded")).toBe("Dhoom II - Reloaded");
+      expect(fixBollywoodTitle("dil vi dil")).toBe("Dil Vi Dil");
+      expect(fixBollywoodTitle("dhoom ii (2006)")).toBe("Dhoom II (2006)");
+    });
+
+    test('A small word shaped like a numeral stays a small word', () => {
+      registerTitleStyle("test-roman", { words: ["vi"], capitalizeLast: false });
+      expect(fixBollywoodTitle("dil vi", { style: "test-roman" })).toBe("Dil vi");
+    });
+
+    test('Arabic numerals are left alone', () => {
+      expect(fixBollywoodTitle("golmaal 3")).toBe("Golmaal 3");
+    });
+
+    test('Dotted initials are uppercased', () => {
+      expect(fixBollywoodTitle("m.s. dhoni")).toBe("M.S. Dhoni");
+      expect(fixBollywoodTitle("munna bhai m.b.b.s.")).toBe("Munna Bhai M.B.B.S.");
+    });
+
+    test('Common abbreviations are not treated as acronyms', () => {
+      expect(fixBollywoodTitle("MR. INDIA")).toBe("Mr. India");
+    });
+
+    test('Hyphenated words are cased part by part', () => {
+      expect(fixBollywoodTitle("kabhi-kabhi")).toBe("Kabhi-Kabhi");
+      expect(fixBollywoodTitle("DIL-E-NADAAN")).toBe("Dil-e-Nadaan");
+      expect(fixBollywoodTitle("pyaar-ka-punchnama")).toBe("Pyaar-ka-Punchnama");
+    });
+
+    test('Apostrophes are handled', () => {
+      expect(fixBollywoodTitle("don't stop")).toBe("Don't Stop");
+      expect(fixBollywoodTitle("d'souza ki shaadi")).toBe("D'Souza ki Shaadi");
+    });
+
+    test('Surrounding punctuation does not hide small words or protected words', () => {
+      expect(fixBollywoodTitle("(pk), golmaal 3")).toBe("(PK), Golmaal 3");
+      expect(fixBollywoodTitle("dil, ka, sauda")).toBe("Dil, ka, Sauda");
+    });
+  });
+
+  describe('Devanagari transliteration', () => {
+    test('Devanagari title is romanised before Title Case', () => {
+      expect(fixBollywoodTitle("दिलवाले दुल्हनिया ले जाएँगे", { transliterate: true }))
+        .toBe("Dilwale Dulhaniya Le Jayenge");
+      expect(fixBollywoodTitle("कभी ख़ुशी कभी ग़म", { transliterate: "bollywood" }))
+        .toBe("Kabhi Khushi Kabhi Gham");
+    });
+
+    test('Small-word rules apply to the romanised words', () => {
+      expect(fixBollywoodTitle("प्यार का पंचनामा", { transliterate: true }))
+        .toBe("Pyaar ka Panchnama");
+    });
+
+    test('ISO scheme keeps diacritics', () => {
+      expect(fixBollywoodTitle("लगान", { transliterate: "iso" })).toBe("Lagān");
+    });
+
+    test('Without the option Devanagari is left alone', () => {
+      expect(fixBollywoodTitle("लगान")).toBe("लगान");
+    });
+
+    test('Unknown scheme throws RangeError', () => {
+      expect(() => fixBollywoodTitle("लगान", { transliterate: "itrans" })).toThrow(RangeError);
+    });
+  });
 });
@@ -0,0 +1,114 @@
+import { findCanonicalTitle, foldTitle, titleSimilarity } from '../src/03-title-matcher.js';
+
+const CATALOGUE = [
+  "Dilwale Dulhania Le Jayenge",
+  "Dil To Pagal Hai",
+  "Deewana",
+  "Kuch Kuch Hota Hai",
+  "Dabangg"
+];
+
+describe('03 - Bollywood Title Matcher', () => {
+
+  describe('foldTitle', () => {
+    test('Folds common Hinglish spelling variants together', () => {
+      expect(foldTitle("  Dilwale Dulhaniya Le Jaayenge! ")).toBe("dilvale dulhania le jayenge");
+      expect(foldTitle("Dilwale Dulhania Le Jayenge")).toBe("dilvale dulhania le jayenge");
+    });
+
+    test('ee/i and oo/u fold together', () => {
+      expect(foldTitle("Deewana")).toBe(foldTitle("Diwana"));
+      expect(foldTitle("Zaroori")).toBe(foldTitle("zaruri"));
+    });
+
+    test('Double consonants, chh and ph fold together', () => {
+      expect(foldTitle("Dabangg")).toBe(foldTitle("dabang"));
+      expect(foldTitle("Kuchh Kuchh")).toBe(foldTitle("kuch kuch"));
+      expect(foldTitle("Phir Hera Pheri")).toBe(foldTitle("fir hera feri"));
+    });
+
+    test('Accents and punctuation are dropped', () => {
+      expect(foldTitle("Café: Mumbai-Pune")).toBe("cafe mumbaipune");
+    });
+
+    test('Devanagari titles fold like their Roman spelling', () => {
+      expect(foldTitle("दीवाना")).toBe(foldTitle("Deewana"));
+    });
+
+    test('Invalid input folds to empty string', () => {
+      expect(foldTitle(null)).toBe("");
+      expect(foldTitle("   ")).toBe("");
+    });
+  });
+
+  describe('titleSimilarity', () => {
+    test('Spelling variants score 1', () => {
+      expect(titleSimilarity("dilwale dulhaniya le jayenge", "Dilwale Dulhania Le Jayenge")).toBe(1);
+    });
+
+    test('Typos score high but below 1', () => {
+      const score = titleSimilarity("Kuch Kuch Hota Hain", "Kuch Kuch Hota Hai");
+      expect(score).toBeGreaterThan(0.9);
+      expect(score).toBeLessThan(1);
+    });
+
+    test('Unrelated titles score low', () => {
+      expect(titleSimilarity("Sholay", "Kuch Kuch Hota Hai")).toBeLessThan(0.5);
+    });
+
+    test('Invalid input scores 0', () => {
+      expect(titleSimilarity("", "Sholay")).toBe(0);
+    });
+  });
+
+  describe('findCanonicalTitle', () => {
+    test('Returns the canonical spelling with its score', () => {
+      expect(findCanonicalTitle("dilwale dulhaniya le jayenge", CATALOGUE))
+        .toEqual({ title: "Dilwale Dulhania Le Jayenge", score: 1 });
+    });
+
+    test('Sequel numbers must match exactly', () => {
+      expect(findCanonicalTitle("dhoom 3", ["Dhoom 2"])).toBeNull();
+      expect(findCanonicalTitle("dhoom 3", ["Dhoom 2", "Dhoom 3"])).toEqual({ title: "Dhoom 3", score: 1 });
+      expect(findCanonicalTitle("golmaal 3", ["Golmaal"])).toBeNull();
+    });
+
+    test('Release years are not sequel numbers', () => {
+      expect(findCanonicalTitle("dilwale dulhaniya le jayenge (1995)", CATALOGUE))
+        .toEqual({ title: "Dilwale Dulhania Le Jayenge", score: 1 });
+      expect(findCanonicalTitle("Dhoom 2 (2006)", ["Dhoom 3", "Dhoom 2"])?.title).toBe("Dhoom 2");
+      expect(findCanonicalTitle("dhoom 3 (2013)", ["Dhoom 2"])).toBeNull();
+    });
+
+    test('A title that is only a year still has to match it', () => {
+      expect(findCanonicalTitle("1920", ["1921", "1920"])).toEqual({ title: "1920", score: 1 });
+      expect(findCanonicalTitle("1920", ["1921"])).toBeNull();
+    });
+
+    test('Roman numerals match their digits', () => {
+      expect(findCanonicalTitle("Dhoom II", ["Dhoom 3", "Dhoom 2"])?.title).toBe("Dhoom 2");
+      expect(findCanonicalTitle("hera pheri III", ["Hera Pheri 2"])).toBeNull();
+    });
+
+    test('Finds the closest title despite a typo', () => {
+      const match = findCanonicalTitle("dil to pagl hai", CATALOGUE);
+      expect(match.title).toBe("Dil To Pagal Hai");
+      expect(match.score).toBeGreaterThan(0.9);
+    });
+
+    test('Returns null when nothing is close enough', () => {
+      expect(findCanonicalTitle("Sholay", CATALOGUE)).toBe(null);
+    });
+
+    test('Threshold can be lowered', () => {
+      expect(findCanonicalTitle("dbng", CATALOGUE)).toBeNull();
+      expect(findCanonicalTitle("dbng", CATALOGUE, { threshold: 0.6 }).title).toBe("Dabangg");
+    });
+
+    test('Invalid input or catalogue returns null', () => {
+      expect(findCanonicalTitle(null, CATALOGUE)).toBe(null);
+      expect(findCanonicalTitle("Deewana", "Deewana")).toBe(null);
+      expect(findCanonicalTitle("Deewana", [])).toBe(null);
+    });
+  });
+});
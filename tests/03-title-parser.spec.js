@@ -0,0 +1,88 @@
+import { parseBollywoodTitle, formatBollywoodTitle, compareBollywoodTitles } from '../src/03-title-parser.js';
+
+describe('03 - Bollywood Title Parser', () => {
+
+  describe('parseBollywoodTitle', () => {
+    test('Splits chapter number and year', () => {
+      expect(parseBollywoodTitle("kgf chapter 2 (2022)")).toEqual({
+        title: "KGF",
+        sequel: 2,
+        sequelLabel: "Chapter",
+        subtitle: null,
+        year: 2022,
+        franchise: "kgf",
+        display: "KGF Chapter 2 (2022)"
+      });
+    });
+
+    test('Colon followed only by a number is a sequel, not a subtitle', () => {
+      const parsed = parseBollywoodTitle("Dhoom:3");
+      expect(parsed.title).toBe("Dhoom");
+      expect(parsed.sequel).toBe(3);
+      expect(parsed.subtitle).toBeNull();
+      expect(parsed.display).toBe("Dhoom 3");
+    });
+
+    test('Year after a dash', () => {
+      const parsed = parseBollywoodTitle("Munna Bhai M.B.B.S. - 2003");
+      expect(parsed.title).toBe("Munna Bhai M.B.B.S.");
+      expect(parsed.year).toBe(2003);
+      expect(parsed.display).toBe("Munna Bhai M.B.B.S. (2003)");
+    });
+
+    test('Sequel, subtitle and year together', () => {
+      const parsed = parseBollywoodTitle("baahubali 2: the conclusion (2017)");
+      expect(parsed).toMatchObject({ title: "Baahubali", sequel: 2, subtitle: "The Conclusion", year: 2017 });
+      expect(parsed.display).toBe("Baahubali 2: The Conclusion (2017)");
+    });
+
+    test('Subtitle after a spaced dash', () => {
+      expect(parseBollywoodTitle("Dhoom 2 - back in action").display).toBe("Dhoom 2: Back in Action");
+    });
+
+    test('Roman sequels become Arabic numbers', () => {
+      expect(parseBollywoodTitle("DHOOM II").display).toBe("Dhoom 2");
+      expect(parseBollywoodTitle("golmaal part v")).toMatchObject({ sequel: 5, sequelLabel: "Part" });
+    });
+
+    test('Numbers that are part of the name stay in the title', () => {
+      expect(parseBollywoodTitle("Article 15").sequel).toBeNull();
+      expect(parseBollywoodTitle("Mr. X (2015)")).toMatchObject({ title: "Mr. X", sequel: null, display: "Mr. X (2015)" });
+      expect(parseBollywoodTitle("3 idiots").title).toBe("3 Idiots");
+      expect(parseBollywoodTitle("1942: a love story")).toMatchObject({ title: "1942", year: null, subtitle: "A Love Story" });
+    });
+
+    test('Differently typed titles share a franchise key', () => {
+      expect(parseBollywoodTitle("DHOOM 3").franchise).toBe(parseBollywoodTitle("dhoom").franchise);
+    });
+
+    test('Invalid input returns null', () => {
+      expect(parseBollywoodTitle(null)).toBeNull();
+      expect(parseBollywoodTitle("   ")).toBeNull();
+      expect(parseBollywoodTitle("(2022)")).toBeNull();
+    });
+  });
+
+  describe('formatBollywoodTitle', () => {
+    test('Rebuilds the display string from edited metadata', () => {
+      const parsed = parseBollywoodTitle("Race 3 [2018]");
+      expect(formatBollywoodTitle({ ...parsed, year: null })).toBe("Race 3");
+      expect(formatBollywoodTitle({ title: "KGF", sequel: 1, sequelLabel: "Chapter" })).toBe("KGF Chapter 1");
+    });
+
+    test('Missing title gives empty string', () => {
+      expect(formatBollywoodTitle(null)).toBe("");
+      expect(formatBollywoodTitle({ year: 2001 })).toBe("");
+    });
+  });
+
+  describe('compareBollywoodTitles', () => {
+    test('Groups franchises and orders sequels', () => {
+      const sorted = ["Dhoom 3", "Baahubali 2", "dhoom", "Dhoom II", "Baahubali"]
+        .map(title => parseBollywoodTitle(title))
+        .sort(compareBollywoodTitles)
+        .map(parsed => parsed.display);
+      expect(sorted).toEqual(["Baahubali", "Baahubali 2", "Dhoom", "Dhoom 2", "Dhoom 3"]);
+    });
+  });
+});
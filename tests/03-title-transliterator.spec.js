@@ -0,0 +1,86 @@
+import { devanagariToRoman, romanToDevanagari } from '../src/03-title-transliterator.js';
+
+describe('03 - Title Transliterator', () => {
+
+  describe('devanagariToRoman (bollywood scheme)', () => {
+    test('Uses poster-style spellings', () => {
+      expect(devanagariToRoman("दिलवाले दुल्हनिया ले जाएँगे")).toBe("dilwale dulhaniya le jayenge");
+      expect(devanagariToRoman("दीवाना")).toBe("deewana");
+      expect(devanagariToRoman("कभी ख़ुशी कभी ग़म")).toBe("kabhi khushi kabhi gham");
+    });
+
+    test('व is "w" between vowels but "v" when it closes a syllable', () => {
+      expect(devanagariToRoman("देवदास")).toBe("devdaas");
+      expect(devanagariToRoman("देव डी")).toBe("dev di");
+      expect(devanagariToRoman("पवन")).toBe("pawan");
+      expect(devanagariToRoman("हवा")).toBe("hawa");
+      expect(devanagariToRoman("जवानी")).toBe("jawani");
+    });
+
+    test('Drops the final and V-C_C-V inherent vowel (schwa deletion)', () => {
+      expect(devanagariToRoman("दिल")).toBe("dil");
+      expect(devanagariToRoman("दिलवाले")).toBe("dilwale");
+    });
+
+    test('Keeps the final vowel after a -र/-य conjunct', () => {
+      expect(devanagariToRoman("मित्र")).toBe("mitra");
+      expect(devanagariToRoman("सूर्य")).toBe("soorya");
+    });
+
+    test('Long aa in closed syllables, single a in open ones', () => {
+      expect(devanagariToRoman("प्यार")).toBe("pyaar");
+      expect(devanagariToRoman("लगान")).toBe("lagaan");
+      expect(devanagariToRoman("शोले")).toBe("shole");
+    });
+
+    test('Nukta letters, anusvara and digits', () => {
+      expect(devanagariToRoman("मुग़ल-ए-आज़म")).toBe("mughal-e-azam");
+      expect(devanagariToRoman("अंबर")).toBe("ambar");
+      expect(devanagariToRoman("३ इडियट्स")).toBe("3 idiyats");
+    });
+
+    test('Non-Devanagari text passes through', () => {
+      expect(devanagariToRoman("KGF: चैप्टर 2")).toBe("KGF: chaiptar 2");
+    });
+  });
+
+  describe('devanagariToRoman (iso scheme)', () => {
+    test('Uses diacritics', () => {
+      expect(devanagariToRoman("प्यार", { scheme: "iso" })).toBe("pyār");
+      expect(devanagariToRoman("कभी ख़ुशी", { scheme: "iso" })).toBe("kabhī ḵhuśī");
+      expect(devanagariToRoman("इडियट", { scheme: "iso" })).toBe("iḍiyaṭ");
+    });
+  });
+
+  describe('romanToDevanagari', () => {
+    test('Converts Bollywood spellings for display', () => {
+      expect(romanToDevanagari("pyaar")).toBe("प्यार");
+      expect(romanToDevanagari("Lagaan")).toBe("लगान");
+      expect(romanToDevanagari("kabhi")).toBe("कभी");
+    });
+
+    test('n before a consonant becomes anusvara', () => {
+      expect(romanToDevanagari("jayenge")).toBe("जयेंगे");
+    });
+
+    test('Documented examples', () => {
+      expect(romanToDevanagari("Rang De Basanti")).toBe("रंग दे बसंती");
+      expect(romanToDevanagari("Pyaar ka Punchnama")).toBe("प्यार का पुंच्नमा");
+    });
+
+    test('Non-letters are kept', () => {
+      expect(romanToDevanagari("Golmaal 3!")).toBe("गोल्माल 3!");
+    });
+  });
+
+  describe('Validation', () => {
+    test('Non-string input returns empty string', () => {
+      expect(devanagariToRoman(null)).toBe("");
+      expect(romanToDevanagari(42)).toBe("");
+    });
+
+    test('Unknown scheme throws RangeError', () => {
+      expect(() => devanagariToRoman("लगान", { scheme: "itrans" })).toThrow(RangeError);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { calculateGST } from '../src/04-gst-calculator.js';
+import { calculateGST, splitGSTAmount } from '../src/04-gst-calculator.js';
 
 describe('04 - GST Calculator (8 pts)', () => {
 
@@ -82,6 +82,11 @@ describe('04 - GST Calculator (8 pts)', () => {
     test('Empty string category returns null', () => {
       expect(calculateGST(100, "")).toBeNull();
     });
+
+    test('Padded category returns null', () => {
+      expect(calculateGST(100, " food ")).toBeNull();
+      expect(calculateGST(100, "6109 ")).toBeNull();
+    });
   });
 
   describe('Validation', () => {
@@ -113,4 +118,213 @@ describe('04 - GST Calculator (8 pts)', () => {
       expect(calculateGST(null, "food")).toBeNull();
     });
   });
+
+  describe('HSN/SAC codes', () => {
+    test('HSN code picks the rate from the table', () => {
+      expect(calculateGST(10000, "7113", { date: "2025-01-01" })).toEqual({
+        baseAmount: 10000, gstRate: 3, gstAmount: 300, totalAmount: 10300
+      });
+    });
+
+    test('0.25% slab', () => {
+      expect(calculateGST(200000, "7102", { date: "2025-01-01" }).gstAmount).toBe(500);
+    });
+
+    test('Price-dependent apparel slab uses the amount', () => {
+      expect(calculateGST(999, "6109", { date: "2024-01-01" }).gstRate).toBe(5);
+      expect(calculateGST(1499, "6109", { date: "2024-01-01" }).gstRate).toBe(12);
+    });
+
+    test('Unknown HSN code returns null', () => {
+      expect(calculateGST(100, "0000")).toBeNull();
+    });
+  });
+
+  describe('Place of supply', () => {
+    test('Same state splits into CGST and SGST', () => {
+      expect(calculateGST(1000, "electronics", { supplierState: "27", recipientState: "27" })).toEqual({
+        baseAmount: 1000,
+        gstRate: 18,
+        gstAmount: 180,
+        totalAmount: 1180,
+        supplyType: "intra-state",
+        components: [
+          { tax: "CGST", rate: 9, amount: 90 },
+          { tax: "SGST", rate: 9, amount: 90 }
+        ]
+      });
+    });
+
+    test('Different states pay IGST', () => {
+      const result = calculateGST(1000, "electronics", { supplierState: "27", recipientState: "29" });
+      expect(result.supplyType).toBe("inter-state");
+      expect(result.components).toEqual([{ tax: "IGST", rate: 18, amount: 180 }]);
+    });
+
+    test('Union territory without legislature uses UTGST', () => {
+      const result = calculateGST(100, "food", { supplierState: "04", recipientState: "04" });
+      expect(result.components.map(c => c.tax)).toEqual(["CGST", "UTGST"]);
+    });
+
+    test('Odd paisa goes to CGST and components add up exactly', () => {
+      const result = calculateGST(75.50, "luxury", { supplierState: "07", recipientState: "07" });
+      expect(result.gstAmount).toBe(21.14);
+      expect(result.components.map(c => c.amount)).toEqual([10.57, 10.57]);
+
+      const odd = calculateGST(33.33, "food", { supplierState: "07", recipientState: "07" });
+      expect(odd.gstAmount).toBe(1.67);
+      expect(odd.components.map(c => c.amount)).toEqual([0.84, 0.83]);
+    });
+
+    test('Unknown state code returns null', () => {
+      expect(calculateGST(100, "food", { supplierState: "27", recipientState: "99" })).toBeNull();
+      expect(calculateGST(100, "food", { supplierState: 27, recipientState: "27" })).toBeNull();
+    });
+
+    test('GSTINs work in place of state codes', () => {
+      const result = calculateGST(1000, "electronics", {
+        supplierState: "27AAPFU0939F1ZV", recipientState: "29AAGCB7383J1Z4"
+      });
+      expect(result.supplyType).toBe("inter-state");
+      expect(calculateGST(1000, "electronics", {
+        supplierState: "27AAPFU0939F1ZV", recipientState: "29AAGCB7383J1Z5"
+      })).toBeNull();
+    });
+
+    test('Only one state code throws RangeError', () => {
+      expect(() => calculateGST(100, "food", { supplierState: "27" })).toThrow(RangeError);
+    });
+  });
+
+  describe('Tax-inclusive mode', () => {
+    test('Works the base out of an MRP', () => {
+      expect(calculateGST(118, "electronics", { inclusive: true })).toEqual({
+        baseAmount: 100, gstRate: 18, gstAmount: 18, totalAmount: 118
+      });
+    });
+
+    test('Base plus tax always equals the MRP to the paisa', () => {
+      ["food", "standard", "electronics", "luxury", "7102", "7113"].forEach(category => {
+        for (let paise = 9901; paise <= 11900; paise += 37) {
+          const mrp = paise / 100;
+          const result = calculateGST(mrp, category, { inclusive: true, date: "2025-01-01" });
+          expect(Math.round(result.baseAmount * 100) + Math.round(result.gstAmount * 100))
+            .toBe(paise);
+          expect(result.totalAmount).toBe(mrp);
+        }
+      });
+    });
+
+    test('Uneven MRP', () => {
+      expect(calculateGST(99.99, "luxury", { inclusive: true })).toEqual({
+        baseAmount: 78.12, gstRate: 28, gstAmount: 21.87, totalAmount: 99.99
+      });
+    });
+
+    test('Price-dependent slab is decided by the base value', () => {
+      expect(calculateGST(1050, "6109", { inclusive: true, date: "2024-01-01" })).toEqual({
+        baseAmount: 1000, gstRate: 5, gstAmount: 50, totalAmount: 1050
+      });
+      expect(calculateGST(1200, "6109", { inclusive: true, date: "2024-01-01" }).gstRate).toBe(12);
+    });
+
+    test('MRP between slabs takes the lower rate', () => {
+      expect(calculateGST(1100, "6109", { inclusive: true, date: "2024-01-01" })).toEqual({
+        baseAmount: 1047.62, gstRate: 5, gstAmount: 52.38, totalAmount: 1100
+      });
+      expect(calculateGST(1125, "6109", { inclusive: true, date: "2024-01-01" }).gstRate).toBe(12);
+    });
+
+    test('Inclusive amounts can be split by place of supply', () => {
+      const result = calculateGST(10, "food", { inclusive: true, supplierState: "27", recipientState: "27" });
+      expect(result.gstAmount).toBe(0.48);
+      expect(result.components.map(c => c.amount)).toEqual([0.24, 0.24]);
+    });
+
+    test('Same validation as exclusive mode', () => {
+      expect(calculateGST(-10, "food", { inclusive: true })).toBeNull();
+      expect(calculateGST(10, "custom", { inclusive: true })).toBeNull();
+    });
+  });
+
+  describe('Rounding modes', () => {
+    test('Half a paisa rounds up by default, unlike toFixed', () => {
+      expect(calculateGST(100.5, "food")).toEqual({
+        baseAmount: 100.5, gstRate: 5, gstAmount: 5.03, totalAmount: 105.53
+      });
+      expect(calculateGST(20.1, "food").gstAmount).toBe(1.01);
+    });
+
+    test('half-even sends half a paisa to the even side', () => {
+      expect(calculateGST(100.5, "food", { roundingMode: "half-even" })).toEqual({
+        baseAmount: 100.5, gstRate: 5, gstAmount: 5.02, totalAmount: 105.52
+      });
+      expect(calculateGST(100.3, "food", { roundingMode: "half-even" }).gstAmount).toBe(5.02);
+    });
+
+    test('ceil rounds any fraction of a paisa up', () => {
+      expect(calculateGST(100.01, "food").gstAmount).toBe(5);
+      expect(calculateGST(100.01, "food", { roundingMode: "ceil" })).toEqual({
+        baseAmount: 100.01, gstRate: 5, gstAmount: 5.01, totalAmount: 105.02
+      });
+    });
+
+    test('Applies to inclusive mode too', () => {
+      expect(calculateGST(10.01, "food", { inclusive: true }).gstAmount).toBe(0.48);
+      expect(calculateGST(10.01, "food", { inclusive: true, roundingMode: "ceil" }).gstAmount).toBe(0.48);
+      expect(calculateGST(10.5, "food", { inclusive: true, roundingMode: "half-even" })).toEqual({
+        baseAmount: 10, gstRate: 5, gstAmount: 0.5, totalAmount: 10.5
+      });
+    });
+
+    test('Total is always base plus the rounded tax', () => {
+      expect(calculateGST(0.25, "electronics", { roundingMode: "half-even" })).toEqual({
+        baseAmount: 0.25, gstRate: 18, gstAmount: 0.04, totalAmount: 0.29
+      });
+      ["half-up", "half-even", "ceil"].forEach(roundingMode => {
+        [0.25, 20.25, 100.5, 100.01, 999.99].forEach(amount => {
+          const bill = calculateGST(amount, "electronics", { roundingMode });
+          expect(Math.round((bill.baseAmount + bill.gstAmount) * 100)).toBe(Math.round(bill.totalAmount * 100));
+        });
+      });
+    });
+
+    test('Sub-paisa base is settled half-up in every mode, so base + gst is the total', () => {
+      expect(calculateGST(100.555, "standard")).toEqual({
+        baseAmount: 100.56, gstRate: 12, gstAmount: 12.07, totalAmount: 112.63
+      });
+      expect(calculateGST(100.001, "standard", { roundingMode: "ceil" })).toEqual({
+        baseAmount: 100, gstRate: 12, gstAmount: 12, totalAmount: 112
+      });
+      ["half-up", "half-even", "ceil"].forEach(roundingMode => {
+        [100.555, 100.001, 0.125, 49.9951].forEach(amount => {
+          const bill = calculateGST(amount, "standard", { roundingMode });
+          expect(Math.round(bill.baseAmount * 100)).toBe(Math.round(amount * 100));
+          expect(Math.round((bill.baseAmount + bill.gstAmount) * 100)).toBe(Math.round(bill.totalAmount * 100));
+        });
+      });
+    });
+
+    test('Amount that settles to 0 paise returns null', () => {
+      expect(calculateGST(0.001, "food")).toBeNull();
+      expect(calculateGST(1e-7, "food")).toBeNull();
+      expect(calculateGST(0.004, "food", { inclusive: true })).toBeNull();
+      expect(calculateGST(0.005, "food").baseAmount).toBe(0.01);
+    });
+
+    test('Unknown rounding mode throws RangeError', () => {
+      expect(() => calculateGST(100, "food", { roundingMode: "floor" })).toThrow(RangeError);
+    });
+  });
+
+  describe('splitGSTAmount', () => {
+    test('Splits a rounded amount the same way calculateGST does', () => {
+      expect(splitGSTAmount(5, 1.67, "07", "07").components.map(c => c.amount)).toEqual([0.84, 0.83]);
+      expect(splitGSTAmount(5, 1.67, "07", "27").supplyType).toBe("inter-state");
+    });
+
+    test('Unknown state returns null', () => {
+      expect(splitGSTAmount(5, 1.67, "07", "XX")).toBeNull();
+    });
+  });
 });
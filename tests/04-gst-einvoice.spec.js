@@ -0,0 +1,177 @@
+import { generateKeyPairSync } from 'node:crypto';
+import { buildEInvoice, validateEInvoice, signEInvoiceQR, verifyEInvoiceQR } from '../src/04-gst-einvoice.js';
+import { EINVOICE_SCHEMA } from '../src/04-gst-einvoice-schema.js';
+import { buildGSTInvoice } from '../src/04-gst-invoice.js';
+import { calculateGST } from '../src/04-gst-calculator.js';
+
+const DETAILS = {
+  seller: { gstin: "27AAPFU0939F1ZV", legalName: "Bunty Traders", address: "12 Linking Road", location: "Mumbai", pincode: "400050" },
+  buyer: { gstin: "29AAGCB7383J1Z4", legalName: "Bablu Retail Pvt Ltd", address: "5 MG Road", location: "Bengaluru", pincode: 560001 },
+  document: { number: "INV/2025/001", date: "2025-10-18" }
+};
+
+const CART = buildGSTInvoice([
+  { description: "T-shirt", hsn: "6109", quantity: 2, unitPrice: 500 },
+  { description: "Cola", hsn: "2202", quantity: 1, unitPrice: 40, cessRate: 12 }
+], { date: DETAILS.document.date });
+
+describe('04 - GST e-Invoice Exporter', () => {
+  let keys;
+  beforeAll(() => {
+    keys = generateKeyPairSync("rsa", { modulusLength: 2048 });
+  });
+
+  describe('buildEInvoice', () => {
+    test('Invoice builder output becomes a schema-valid document', () => {
+      const { document, errors } = buildEInvoice(CART, DETAILS);
+      expect(errors).toEqual([]);
+      expect(document.DocDtls).toEqual({ Typ: "INV", No: "INV/2025/001", Dt: "18/10/2025" });
+      expect(document.SellerDtls.Stcd).toBe("27");
+      expect(document.BuyerDtls.Pos).toBe("29");
+      expect(document.ItemList).toHaveLength(2);
+      expect(document.ItemList[1]).toMatchObject({
+        SlNo: "2", HsnCd: "2202", AssAmt: 40, GstRt: 40, IgstAmt: 16, CgstAmt: 0, CesAmt: 4.8, TotItemVal: 60.8
+      });
+      expect(document.ValDtls).toEqual({
+        AssVal: 1040, CgstVal: 0, SgstVal: 0, IgstVal: 66, CesVal: 4.8, RndOffAmt: 0.2, TotInvVal: 1111
+      });
+    });
+
+    test('calculateGST result becomes a single-item intra-state document', () => {
+      const details = {
+        ...DETAILS,
+        buyer: { ...DETAILS.buyer, gstin: "27AAGCB7383J1Z8" },
+        item: { description: "Laptop", hsn: "8471" }
+      };
+      const { document, errors } = buildEInvoice(calculateGST(1000, "8471"), details);
+      expect(errors).toEqual([]);
+      expect(document.ItemList[0]).toMatchObject({ Qty: 1, Unit: "NOS", CgstAmt: 90, SgstAmt: 90, IgstAmt: 0 });
+      expect(document.ValDtls.TotInvVal).toBe(1180);
+    });
+
+    test('SAC codes are marked as services', () => {
+      const bill = buildGSTInvoice([{ description: "App development", hsn: "998314", quantity: 1, unitPrice: 50000 }]);
+      const { document } = buildEInvoice(bill, DETAILS);
+      expect(document.ItemList[0]).toMatchObject({ IsServc: "Y", Unit: "OTH" });
+    });
+
+    test('Missing details and category-only lines are reported', () => {
+      const bill = buildGSTInvoice([{ category: "food", quantity: 1, unitPrice: 10 }]);
+      const { errors } = buildEInvoice(bill, { ...DETAILS, document: { date: "2025-10-18" } });
+      expect(errors).toEqual(expect.arrayContaining([
+        { path: "DocDtls.No", reason: "MISSING_FIELD" },
+        { path: "ItemList[0].HsnCd", reason: "PATTERN_MISMATCH" }
+      ]));
+    });
+
+    test('Rates from before the document date are reported', () => {
+      const stale = buildGSTInvoice([
+        { description: "T-shirt", hsn: "6109", quantity: 2, unitPrice: 500 },
+        { description: "Cola", hsn: "2202", quantity: 1, unitPrice: 40, cessRate: 12 }
+      ], { date: "2025-01-01" });
+      expect(buildEInvoice(stale, DETAILS).errors).toEqual([
+        { path: "ItemList[1].GstRt", reason: "RATE_NOT_IN_FORCE" }
+      ]);
+      expect(buildEInvoice(stale, { ...DETAILS, document: { ...DETAILS.document, date: "2025-01-01" } }).errors)
+        .toEqual([]);
+    });
+
+    test('GSTIN checksum errors are reported', () => {
+      const { errors } = buildEInvoice(CART, { ...DETAILS, buyer: { ...DETAILS.buyer, gstin: "29AAGCB7383J1Z5" } });
+      expect(errors).toContainEqual({ path: "BuyerDtls.Gstin", reason: "CHECKSUM_MISMATCH" });
+    });
+
+    test('Unknown state code is reported', () => {
+      const { errors } = buildEInvoice(CART, { ...DETAILS, buyer: { ...DETAILS.buyer, placeOfSupply: "99" } });
+      expect(errors).toContainEqual({ path: "BuyerDtls.Pos", reason: "UNKNOWN_STATE" });
+    });
+
+    test('Unrecognised bill returns null', () => {
+      expect(buildEInvoice(null, DETAILS)).toBeNull();
+      expect(buildEInvoice({ amount: 100 }, DETAILS)).toBeNull();
+    });
+  });
+
+  describe('validateEInvoice', () => {
+    test('Flags wrong types, enums and unknown fields', () => {
+      const { document } = buildEInvoice(CART, DETAILS);
+      const broken = {
+        ...document,
+        Extra: true,
+        TranDtls: { ...document.TranDtls, SupTyp: "B2C" },
+        SellerDtls: { ...document.SellerDtls, Pin: "400050" }
+      };
+      expect(validateEInvoice(broken)).toEqual([
+        { path: "TranDtls.SupTyp", reason: "NOT_IN_ENUM" },
+        { path: "SellerDtls.Pin", reason: "TYPE_MISMATCH" },
+        { path: "Extra", reason: "UNKNOWN_FIELD" }
+      ]);
+    });
+
+    test('Non-object document', () => {
+      expect(validateEInvoice(null)).toEqual([{ path: "", reason: "TYPE_MISMATCH" }]);
+    });
+
+    test('Bundled schema is frozen', () => {
+      expect(Object.isFrozen(EINVOICE_SCHEMA.properties.ItemList.items)).toBe(true);
+    });
+  });
+
+  describe('signEInvoiceQR', () => {
+    test('Builds the IRN and QR payload', () => {
+      const { document } = buildEInvoice(CART, DETAILS);
+      const { irn, qrPayload } = signEInvoiceQR(document, keys.privateKey, {
+        irnDate: new Date(2025, 9, 18, 10, 30, 0)
+      });
+      expect(irn).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.parse(qrPayload)).toEqual({
+        SellerGstin: "27AAPFU0939F1ZV",
+        BuyerGstin: "29AAGCB7383J1Z4",
+        DocNo: "INV/2025/001",
+        DocTyp: "INV",
+        DocDt: "18/10/2025",
+        TotInvVal: 1111,
+        ItemCnt: 2,
+        MainHsnCode: "6109",
+        Irn: irn,
+        IrnDt: "2025-10-18 10:30:00"
+      });
+    });
+
+    test('Same document in the same financial year gets the same IRN', () => {
+      const april = buildEInvoice(CART, { ...DETAILS, document: { number: "A1", date: "2025-04-01" } }).document;
+      const march = buildEInvoice(CART, { ...DETAILS, document: { number: "A1", date: "2026-03-31" } }).document;
+      const before = buildEInvoice(CART, { ...DETAILS, document: { number: "A1", date: "2025-03-31" } }).document;
+      const irnOf = (document) => signEInvoiceQR(document, keys.privateKey).irn;
+      expect(irnOf(april)).toBe(irnOf(march));
+      expect(irnOf(april)).not.toBe(irnOf(before));
+    });
+
+    test('Signed QR verifies with the public key and PEM keys work', () => {
+      const { document } = buildEInvoice(CART, DETAILS);
+      const pem = keys.privateKey.export({ type: "pkcs8", format: "pem" });
+      const { signedQr, qrPayload } = signEInvoiceQR(document, pem);
+      expect(signedQr.split(".")).toHaveLength(3);
+      expect(verifyEInvoiceQR(signedQr, keys.publicKey)).toEqual(JSON.parse(qrPayload));
+    });
+
+    test('Tampered QR does not verify', () => {
+      const { document } = buildEInvoice(CART, DETAILS);
+      const { signedQr } = signEInvoiceQR(document, keys.privateKey);
+      const [header, , signature] = signedQr.split(".");
+      const forged = Buffer.from(JSON.stringify({ data: "{}", iss: "LOCAL-TEST" })).toString("base64url");
+      expect(verifyEInvoiceQR(`${header}.${forged}.${signature}`, keys.publicKey)).toBeNull();
+      expect(verifyEInvoiceQR("not-a-jwt", keys.publicKey)).toBeNull();
+    });
+
+    test('Invalid document throws RangeError', () => {
+      expect(() => signEInvoiceQR({}, keys.privateKey)).toThrow(RangeError);
+    });
+
+    test('Bad key throws TypeError', () => {
+      const { document } = buildEInvoice(CART, DETAILS);
+      expect(() => signEInvoiceQR(document, "not a key")).toThrow(TypeError);
+      expect(() => signEInvoiceQR(document, keys.publicKey)).toThrow(TypeError);
+    });
+  });
+});
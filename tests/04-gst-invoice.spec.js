@@ -0,0 +1,166 @@
+import { buildGSTInvoice } from '../src/04-gst-invoice.js';
+
+const CART = [
+  { description: "T-shirt", hsn: "6109", quantity: 2, unitPrice: 500 },
+  { description: "Cola", hsn: "2202", quantity: 1, unitPrice: 40, cessRate: 12 }
+];
+
+describe('04 - GST Invoice Builder', () => {
+
+  describe('Lines', () => {
+    test('Computes each line with its own rate and cess', () => {
+      const invoice = buildGSTInvoice(CART, { date: "2025-01-01" });
+      expect(invoice.lines[1]).toEqual({
+        line: 2,
+        description: "Cola",
+        code: "2202",
+        quantity: 1,
+        unitPrice: 40,
+        grossAmount: 40,
+        discount: 0,
+        taxableValue: 40,
+        gstRate: 28,
+        gstAmount: 11.2,
+        cessRate: 12,
+        cessAmount: 4.8,
+        lineTotal: 56
+      });
+    });
+
+    test('Discount as rupees or percent', () => {
+      const invoice = buildGSTInvoice([
+        { category: "food", quantity: 2, unitPrice: 100, discount: 20 },
+        { category: "food", quantity: 1, unitPrice: 200, discountPercent: 25 }
+      ]);
+      expect(invoice.lines.map(line => line.taxableValue)).toEqual([180, 150]);
+      expect(invoice.totals.discount).toBe(70);
+    });
+
+    test('Price slab is decided per unit, not per line', () => {
+      const invoice = buildGSTInvoice([{ hsn: "6109", quantity: 3, unitPrice: 799 }], { date: "2025-01-01" });
+      expect(invoice.lines[0].gstRate).toBe(5);
+    });
+  });
+
+  describe('Rate summary and totals', () => {
+    test('Intra-state cart is summarised per rate with CGST/SGST', () => {
+      const invoice = buildGSTInvoice(CART, { supplierState: "27", recipientState: "27", date: "2025-01-01" });
+      expect(invoice.supplyType).toBe("intra-state");
+      expect(invoice.taxSummary.map(row => [row.gstRate, row.taxableValue, row.gstAmount, row.cessAmount]))
+        .toEqual([[5, 1000, 50, 0], [28, 40, 11.2, 4.8]]);
+      expect(invoice.taxSummary[1].components).toEqual([
+        { tax: "CGST", rate: 14, amount: 5.6 },
+        { tax: "SGST", rate: 14, amount: 5.6 }
+      ]);
+      expect(invoice.totals).toEqual({
+        grossAmount: 1040,
+        discount: 0,
+        taxableValue: 1040,
+        cgst: 30.6,
+        sgst: 30.6,
+        utgst: 0,
+        igst: 0,
+        gstAmount: 61.2,
+        cess: 4.8,
+        totalTax: 66,
+        roundOff: 0,
+        grandTotal: 1106
+      });
+    });
+
+    test('Inter-state cart pays IGST', () => {
+      const invoice = buildGSTInvoice(CART, { supplierState: "27", recipientState: "29", date: "2025-01-01" });
+      expect(invoice.totals.igst).toBe(61.2);
+      expect(invoice.totals.cgst).toBe(0);
+    });
+
+    test('GSTINs decide the place of supply too', () => {
+      const invoice = buildGSTInvoice(CART, {
+        supplierState: "27AAPFU0939F1ZV", recipientState: "27AAGCB7383J1Z8", date: "2025-01-01"
+      });
+      expect(invoice.supplyType).toBe("intra-state");
+      expect(invoice.totals.cgst).toBe(30.6);
+    });
+
+    test('Without states there is no split', () => {
+      const invoice = buildGSTInvoice(CART, { date: "2025-01-01" });
+      expect(invoice.supplyType).toBeNull();
+      expect(invoice.taxSummary[0].components).toEqual([]);
+      expect(invoice.totals.gstAmount).toBe(61.2);
+    });
+  });
+
+  describe('Rounding', () => {
+    const SMALL = [1, 2, 3].map(() => ({ category: "food", quantity: 1, unitPrice: 1.09 }));
+
+    test('Per-invoice rounding rounds each rate once', () => {
+      expect(buildGSTInvoice(SMALL, { roundOff: false }).totals.gstAmount).toBe(0.16);
+    });
+
+    test('Per-line rounding sums the rounded lines', () => {
+      expect(buildGSTInvoice(SMALL, { rounding: "line", roundOff: false }).totals.gstAmount).toBe(0.15);
+    });
+
+    test('Round-off to the nearest rupee is its own line', () => {
+      const invoice = buildGSTInvoice([{ category: "luxury", quantity: 1, unitPrice: 75.5 }]);
+      expect(invoice.totals.gstAmount).toBe(21.14);
+      expect(invoice.totals.roundOff).toBe(0.36);
+      expect(invoice.totals.grandTotal).toBe(97);
+    });
+
+    test('Round-off can be switched off', () => {
+      const invoice = buildGSTInvoice([{ category: "luxury", quantity: 1, unitPrice: 75.5 }], { roundOff: false });
+      expect(invoice.totals.roundOff).toBe(0);
+      expect(invoice.totals.grandTotal).toBe(96.64);
+    });
+
+    test('Unknown rounding mode throws RangeError', () => {
+      expect(() => buildGSTInvoice(CART, { rounding: "bankers" })).toThrow(RangeError);
+      expect(() => buildGSTInvoice(CART, { roundingMode: "floor" })).toThrow(RangeError);
+    });
+
+    test('Amounts are exact, not float', () => {
+      const invoice = buildGSTInvoice([{ category: "food", quantity: 1, unitPrice: 1.005 }], { roundOff: false });
+      expect(invoice.totals.grossAmount).toBe(1.01);
+      expect(buildGSTInvoice([{ category: "food", quantity: 1, unitPrice: 20.1 }]).totals.gstAmount).toBe(1.01);
+    });
+
+    test('roundingMode picks how half and partial paise round', () => {
+      const halfPaisa = [{ category: "food", quantity: 1, unitPrice: 20.1 }];
+      expect(buildGSTInvoice(halfPaisa, { roundingMode: "half-even" }).totals.gstAmount).toBe(1);
+      expect(buildGSTInvoice(SMALL, { roundingMode: "ceil", roundOff: false }).totals.gstAmount).toBe(0.17);
+      expect(buildGSTInvoice(SMALL, { roundingMode: "ceil", rounding: "line", roundOff: false }).totals.gstAmount)
+        .toBe(0.18);
+      expect(buildGSTInvoice(SMALL, { roundingMode: "ceil" }).lines[0].gstAmount).toBe(0.06);
+    });
+
+    test('roundingMode leaves gross and discount on half-up', () => {
+      const cart = [{ hsn: "6109", quantity: 3, unitPrice: 799.99, discountPercent: 33.333 }];
+      const halfUp = buildGSTInvoice(cart, { date: "2025-01-01" }).lines[0];
+      const ceil = buildGSTInvoice(cart, { date: "2025-01-01", roundingMode: "ceil" }).lines[0];
+      expect(ceil).toMatchObject({ grossAmount: 2399.97, discount: 799.98, taxableValue: 1599.99 });
+      expect([ceil.grossAmount, ceil.discount, ceil.taxableValue])
+        .toEqual([halfUp.grossAmount, halfUp.discount, halfUp.taxableValue]);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Empty or non-array cart returns null', () => {
+      expect(buildGSTInvoice([])).toBeNull();
+      expect(buildGSTInvoice(null)).toBeNull();
+    });
+
+    test('Any bad line spoils the invoice', () => {
+      expect(buildGSTInvoice([...CART, { hsn: "0000", quantity: 1, unitPrice: 10 }])).toBeNull();
+      expect(buildGSTInvoice([{ category: "food", quantity: 0, unitPrice: 10 }])).toBeNull();
+      expect(buildGSTInvoice([{ category: "food", quantity: 1, unitPrice: 10, discount: 11 }])).toBeNull();
+      expect(buildGSTInvoice([{ category: "food", quantity: 1, unitPrice: 10, discount: 1, discountPercent: 5 }])).toBeNull();
+      expect(buildGSTInvoice([{ category: "food", quantity: 1, unitPrice: 10, cessRate: -1 }])).toBeNull();
+    });
+
+    test('Unknown state returns null, a single state throws', () => {
+      expect(buildGSTInvoice(CART, { supplierState: "27", recipientState: "00" })).toBeNull();
+      expect(() => buildGSTInvoice(CART, { recipientState: "27" })).toThrow(RangeError);
+    });
+  });
+});
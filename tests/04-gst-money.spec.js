@@ -0,0 +1,48 @@
+import { ROUNDING_MODES, assertRoundingMode, paiseToRupees, roundDivide, toDecimal } from '../src/04-gst-money.js';
+
+describe('04 - GST Money', () => {
+  describe('toDecimal', () => {
+    test('Reads a number exactly as it prints', () => {
+      expect(toDecimal(75.5)).toEqual({ units: 755n, scale: 10n });
+      expect(toDecimal(1.005)).toEqual({ units: 1005n, scale: 1000n });
+      expect(toDecimal(1200)).toEqual({ units: 1200n, scale: 1n });
+    });
+
+    test('Handles exponent notation', () => {
+      expect(toDecimal(1e-7)).toEqual({ units: 1n, scale: 10000000n });
+      expect(toDecimal(1.5e21)).toEqual({ units: 1500000000000000000000n, scale: 1n });
+    });
+  });
+
+  describe('roundDivide', () => {
+    test('Exact quotients are left alone', () => {
+      ROUNDING_MODES.forEach(mode => expect(roundDivide(500n, 100n, mode)).toBe(5n));
+    });
+
+    test('half-up', () => {
+      expect(roundDivide(1005n, 10n)).toBe(101n);
+      expect(roundDivide(1004n, 10n)).toBe(100n);
+    });
+
+    test('half-even', () => {
+      expect(roundDivide(1005n, 10n, "half-even")).toBe(100n);
+      expect(roundDivide(1015n, 10n, "half-even")).toBe(102n);
+      expect(roundDivide(1006n, 10n, "half-even")).toBe(101n);
+    });
+
+    test('ceil', () => {
+      expect(roundDivide(1001n, 10n, "ceil")).toBe(101n);
+    });
+  });
+
+  test('assertRoundingMode rejects unknown modes', () => {
+    expect(() => assertRoundingMode("half-up")).not.toThrow();
+    expect(() => assertRoundingMode("floor")).toThrow(RangeError);
+    expect(() => assertRoundingMode(undefined)).toThrow(RangeError);
+  });
+
+  test('paiseToRupees', () => {
+    expect(paiseToRupees(2114n)).toBe(21.14);
+    expect(paiseToRupees(0n)).toBe(0);
+  });
+});
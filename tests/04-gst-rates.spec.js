@@ -0,0 +1,86 @@
+import { lookupGSTRate, GST_RATE_TABLE, GST_CATEGORY_RATES } from '../src/04-gst-rates.js';
+
+describe('04 - GST Rate Table', () => {
+
+  describe('HSN/SAC lookup', () => {
+    test('Finds the newer 0.25%, 3% and 40% slabs', () => {
+      expect(lookupGSTRate("7102", { date: "2025-01-01" }).rate).toBe(0.25);
+      expect(lookupGSTRate("7113", { date: "2025-01-01" }).rate).toBe(3);
+      expect(lookupGSTRate("2202", { date: "2025-10-01" }).rate).toBe(40);
+    });
+
+    test('Returns code and description', () => {
+      expect(lookupGSTRate("7108", { date: "2024-01-01" })).toEqual({
+        code: "7108", description: "Gold, unwrought", rate: 3
+      });
+    });
+
+    test('Longer codes fall back to the longest matching prefix', () => {
+      expect(lookupGSTRate("61091000", { amount: 500, date: "2024-01-01" }).code).toBe("6109");
+      expect(lookupGSTRate("6109.10.00", { amount: 500, date: "2024-01-01" }).rate).toBe(5);
+    });
+
+    test('SAC codes for services', () => {
+      expect(lookupGSTRate("996331", { date: "2024-01-01" }).rate).toBe(5);
+    });
+  });
+
+  describe('Price-dependent slabs', () => {
+    test('Apparel up to Rs 1000 is 5%, above is 12%', () => {
+      expect(lookupGSTRate("6109", { amount: 1000, date: "2024-06-01" }).rate).toBe(5);
+      expect(lookupGSTRate("6109", { amount: 1000.01, date: "2024-06-01" }).rate).toBe(12);
+    });
+
+    test('Hotel rooms above Rs 7500 per night are 18%', () => {
+      expect(lookupGSTRate("996311", { amount: 5000, date: "2024-06-01" }).rate).toBe(12);
+      expect(lookupGSTRate("996311", { amount: 9000, date: "2024-06-01" }).rate).toBe(18);
+    });
+  });
+
+  describe('Effective dates', () => {
+    test('Rate changes on the rationalisation date', () => {
+      expect(lookupGSTRate("8703", { date: "2025-09-21" }).rate).toBe(28);
+      expect(lookupGSTRate("8703", { date: "2025-09-22" }).rate).toBe(40);
+    });
+
+    test('Apparel threshold moves to Rs 2500 after 22 Sep 2025', () => {
+      expect(lookupGSTRate("6205", { amount: 2000, date: "2025-09-21" }).rate).toBe(12);
+      expect(lookupGSTRate("6205", { amount: 2000, date: "2025-09-22" }).rate).toBe(5);
+      expect(lookupGSTRate("6205", { amount: 3000, date: "2025-09-22" }).rate).toBe(18);
+    });
+
+    test('Accepts a Date object', () => {
+      expect(lookupGSTRate("8517", { date: new Date(2019, 5, 1) }).rate).toBe(12);
+    });
+
+    test('No rate before GST started', () => {
+      expect(lookupGSTRate("8517", { date: "2017-06-30" })).toBeNull();
+    });
+
+    test('Invalid date throws RangeError', () => {
+      expect(() => lookupGSTRate("8517", { date: "01/04/2020" })).toThrow(RangeError);
+    });
+  });
+
+  describe('Category aliases', () => {
+    test('Old category words keep their fixed rates', () => {
+      expect(lookupGSTRate("Luxury").rate).toBe(28);
+      expect(lookupGSTRate("standard", { date: "2026-01-01" }).rate).toBe(12);
+      expect(Object.keys(GST_CATEGORY_RATES)).toHaveLength(5);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Unknown or malformed codes return null', () => {
+      expect(lookupGSTRate("9999")).toBeNull();
+      expect(lookupGSTRate("610")).toBeNull();
+      expect(lookupGSTRate("abcd")).toBeNull();
+      expect(lookupGSTRate(6109)).toBeNull();
+    });
+
+    test('Table is frozen', () => {
+      expect(Object.isFrozen(GST_RATE_TABLE)).toBe(true);
+      expect(Object.isFrozen(GST_RATE_TABLE[0].slabs[0])).toBe(true);
+    });
+  });
+});
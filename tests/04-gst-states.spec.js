@@ -0,0 +1,24 @@
+import { getGSTState, GST_STATES } from '../src/04-gst-states.js';
+
+describe('04 - GST State Codes', () => {
+  test('Known code returns the state', () => {
+    expect(getGSTState("27")).toEqual({ code: "27", name: "Maharashtra", unionTerritory: false });
+  });
+
+  test('Union territories without legislature are flagged', () => {
+    expect(getGSTState("38").unionTerritory).toBe(true);
+    expect(getGSTState("07").unionTerritory).toBe(false);
+  });
+
+  test('Unknown or badly typed codes return null', () => {
+    expect(getGSTState("99")).toBeNull();
+    expect(getGSTState("7")).toBeNull();
+    expect(getGSTState(27)).toBeNull();
+    expect(getGSTState("toString")).toBeNull();
+  });
+
+  test('Table is frozen', () => {
+    expect(Object.isFrozen(GST_STATES)).toBe(true);
+    expect(Object.isFrozen(GST_STATES["27"])).toBe(true);
+  });
+});
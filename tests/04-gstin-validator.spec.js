@@ -0,0 +1,76 @@
+import { validateGSTIN, gstinCheckCharacter, resolveGSTState } from '../src/04-gstin-validator.js';
+
+describe('04 - GSTIN Validator', () => {
+
+  describe('Valid GSTINs', () => {
+    test('Decodes state, PAN and entity code', () => {
+      expect(validateGSTIN("27AAPFU0939F1ZV")).toEqual({
+        valid: true,
+        gstin: "27AAPFU0939F1ZV",
+        stateCode: "27",
+        stateName: "Maharashtra",
+        pan: "AAPFU0939F",
+        panHolderType: "Firm",
+        entityCode: "1",
+        errors: []
+      });
+    });
+
+    test('Lowercase and surrounding spaces are accepted', () => {
+      const result = validateGSTIN("  29aagcb7383j1z4 ");
+      expect(result.valid).toBe(true);
+      expect(result.gstin).toBe("29AAGCB7383J1Z4");
+      expect(result.stateName).toBe("Karnataka");
+      expect(result.panHolderType).toBe("Company");
+    });
+
+    test('Check character is mod-36', () => {
+      expect(gstinCheckCharacter("27AAPFU0939F1Z")).toBe("V");
+      expect(gstinCheckCharacter("07AAACB2230M1Z")).toBe("Y");
+    });
+  });
+
+  describe('Structured errors', () => {
+    test('Wrong check character', () => {
+      const result = validateGSTIN("27AAPFU0939F1ZA");
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ field: "checkCharacter", reason: "CHECKSUM_MISMATCH" }]);
+      expect(result.stateName).toBe("Maharashtra");
+    });
+
+    test('Unknown state code', () => {
+      expect(validateGSTIN("99AAPFU0939F1ZV").errors)
+        .toContainEqual({ field: "stateCode", reason: "UNKNOWN_STATE_CODE" });
+    });
+
+    test('Malformed PAN and unknown holder type', () => {
+      expect(validateGSTIN("271APFU0939F1ZV").errors).toContainEqual({ field: "pan", reason: "INVALID_PAN" });
+      expect(validateGSTIN("27AAPXU0939F1ZV").errors)
+        .toContainEqual({ field: "pan", reason: "INVALID_PAN_HOLDER_TYPE" });
+    });
+
+    test('Entity code 0 and missing Z are both reported', () => {
+      const reasons = validateGSTIN("27AAPFU0939F0YV").errors.map(error => error.reason);
+      expect(reasons).toEqual(expect.arrayContaining(["INVALID_ENTITY_CODE", "INVALID_DEFAULT_CHARACTER"]));
+    });
+
+    test('Length and characters are checked first', () => {
+      expect(validateGSTIN("27AAPFU0939F1Z").errors).toEqual([{ field: "gstin", reason: "INVALID_LENGTH" }]);
+      expect(validateGSTIN("27AAPFU0939F1Z-").errors).toEqual([{ field: "gstin", reason: "INVALID_CHARACTERS" }]);
+      expect(validateGSTIN(null).errors).toEqual([{ field: "gstin", reason: "NOT_A_STRING" }]);
+      expect(validateGSTIN(null).gstin).toBeNull();
+    });
+  });
+
+  describe('resolveGSTState', () => {
+    test('Accepts a state code or a GSTIN', () => {
+      expect(resolveGSTState("27").name).toBe("Maharashtra");
+      expect(resolveGSTState("29AAGCB7383J1Z4").name).toBe("Karnataka");
+    });
+
+    test('Invalid GSTIN or code returns null', () => {
+      expect(resolveGSTState("29AAGCB7383J1Z5")).toBeNull();
+      expect(resolveGSTState("00")).toBeNull();
+    });
+  });
+});
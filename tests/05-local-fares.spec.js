@@ -0,0 +1,61 @@
+import { FARE_SLABS, SEASON_MULTIPLIERS, calculateLocalFare } from '../src/05-local-fares.js';
+
+describe('05 - Mumbai Local Fares', () => {
+  test('Monthly second class pass', () => {
+    expect(calculateLocalFare("Churchgate", "Borivali", { startDate: "2026-10-18" })).toEqual({
+      from: "Churchgate", to: "Borivali", distanceKm: 33.9, classType: "second", ac: false,
+      period: "monthly", singleFare: 20, fare: 300, validFrom: "2026-10-18", validTo: "2026-11-17"
+    });
+  });
+
+  test('Slab is picked by distance', () => {
+    const fareFor = (from, to, classType) =>
+      calculateLocalFare(from, to, { classType, startDate: "2026-01-01" }).singleFare;
+    expect(fareFor("Dadar", "Mahim", "second")).toBe(5);
+    expect(fareFor("Churchgate", "Dadar", "second")).toBe(10);
+    expect(fareFor("Churchgate", "Virar", "second")).toBe(25);
+    expect(fareFor("Dadar", "Mahim", "first")).toBe(50);
+    expect(fareFor("Churchgate", "Virar", "first")).toBe(205);
+  });
+
+  test('Quarterly multiplier and validity', () => {
+    const fare = calculateLocalFare("cst", "thane", { classType: "first", period: "quarterly", startDate: "2026-10-18" });
+    expect(fare.from).toBe("CSMT");
+    expect(fare.fare).toBe(165 * SEASON_MULTIPLIERS.quarterly);
+    expect(fare.validTo).toBe("2027-01-17");
+  });
+
+  test('AC local uses its own slabs whatever the class', () => {
+    const second = calculateLocalFare("Churchgate", "Andheri", { ac: true, startDate: "2026-10-18" });
+    const first = calculateLocalFare("Churchgate", "Andheri", { ac: true, classType: "first", startDate: "2026-10-18" });
+    expect(second.ac).toBe(true);
+    expect(second.singleFare).toBe(95);
+    expect(first.fare).toBe(second.fare);
+  });
+
+  test('Validity clamps to the end of a shorter month', () => {
+    expect(calculateLocalFare("Dadar", "Thane", { startDate: "2026-01-31" }).validTo).toBe("2026-02-28");
+    expect(calculateLocalFare("Dadar", "Thane", { startDate: "2026-01-01" }).validTo).toBe("2026-01-31");
+  });
+
+  test('Date objects use their local calendar day', () => {
+    expect(calculateLocalFare("Dadar", "Thane", { startDate: new Date(2026, 4, 10) }).validFrom).toBe("2026-05-10");
+  });
+
+  test('Unknown station, same station or bad start date returns null', () => {
+    expect(calculateLocalFare("Dadar", "Pune")).toBeNull();
+    expect(calculateLocalFare("Dadar", "dadar")).toBeNull();
+    expect(calculateLocalFare("Dadar", "Thane", { startDate: "2026-02-30" })).toBeNull();
+    expect(calculateLocalFare("Dadar", "Thane", { startDate: "tomorrow" })).toBeNull();
+  });
+
+  test('Unknown class or period throws RangeError', () => {
+    expect(() => calculateLocalFare("Dadar", "Thane", { classType: "third" })).toThrow(RangeError);
+    expect(() => calculateLocalFare("Dadar", "Thane", { classType: "ac" })).toThrow(RangeError);
+    expect(() => calculateLocalFare("Dadar", "Thane", { period: "weekly" })).toThrow(RangeError);
+  });
+
+  test('Slab tables are frozen', () => {
+    expect(Object.isFrozen(FARE_SLABS.first)).toBe(true);
+  });
+});
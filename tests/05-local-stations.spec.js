@@ -0,0 +1,127 @@
+import {
+  LOCAL_LINES, LOCAL_STATIONS, findLocalStation, resolveLocalRoute, stationDistance
+} from '../src/05-local-stations.js';
+
+describe('05 - Mumbai Local Stations', () => {
+  describe('findLocalStation', () => {
+    test('Finds a station, its code and the lines it sits on', () => {
+      expect(findLocalStation("Borivali")).toEqual({ code: "BVI", name: "Borivali", lines: ["western"] });
+      expect(findLocalStation("Kurla")).toEqual({ code: "CLA", name: "Kurla", lines: ["central", "harbour"] });
+    });
+
+    test('Case, spacing and brackets do not matter', () => {
+      expect(findLocalStation("  vile   PARLE ")?.code).toBe("VLP");
+      expect(findLocalStation("Dadar (Central)")?.code).toBe("DR");
+      expect(findLocalStation("dadar western")?.code).toBe("DDR");
+    });
+
+    test('Official codes and old names resolve', () => {
+      expect(findLocalStation("bvi")?.name).toBe("Borivali");
+      expect(findLocalStation("cst")?.code).toBe("CSMT");
+      expect(findLocalStation("VT")?.code).toBe("CSMT");
+      expect(findLocalStation("Elphinstone Road")?.code).toBe("PBHD");
+    });
+
+    test('Small spelling mistakes are forgiven', () => {
+      expect(findLocalStation("Borivli")?.code).toBe("BVI");
+      expect(findLocalStation("Ghatkoper")?.code).toBe("GC");
+      expect(findLocalStation("Kandivli")?.code).toBe("KILE");
+    });
+
+    test('Only one typo, and only when one station is clearly closest', () => {
+      expect(findLocalStation("Thne")?.code).toBe("TNA");
+      expect(findLocalStation("Nerull")).toBeNull();
+      expect(findLocalStation("Ghatkopr")?.code).toBe("GC");
+      expect(findLocalStation("Ghatkpr")).toBeNull();
+    });
+
+    test('Real stations outside the network are rejected, not look-alikes', () => {
+      expect(findLocalStation("Badlapur")).toBeNull();
+      expect(findLocalStation("Neral")).toBeNull();
+      expect(findLocalStation("Kopar")).toBeNull();
+      expect(resolveLocalRoute("Badlapur", "Thane")).toBeNull();
+    });
+
+    test('Plain "Dadar" is two stations, so it is ambiguous here', () => {
+      expect(findLocalStation("Dadar")).toBeNull();
+    });
+
+    test('Unknown, far-off or non-string input returns null', () => {
+      expect(findLocalStation("Pune")).toBeNull();
+      expect(findLocalStation("Andheri East")).toBeNull();
+      expect(findLocalStation("")).toBeNull();
+      expect(findLocalStation(42)).toBeNull();
+    });
+  });
+
+  describe('resolveLocalRoute', () => {
+    test('Same line needs no interchange', () => {
+      const route = resolveLocalRoute("Churchgate", "Borivali");
+      expect(route.distanceKm).toBe(33.9);
+      expect(route.needsInterchange).toBe(false);
+      expect(route.legs).toEqual([{ line: "western", from: "CCG", to: "BVI", distanceKm: 33.9 }]);
+    });
+
+    test('Churchgate to CSMT changes at Dadar', () => {
+      expect(resolveLocalRoute("Churchgate", "CSMT")).toEqual({
+        from: { code: "CCG", name: "Churchgate", lines: ["western"] },
+        to: { code: "CSMT", name: "CSMT", lines: ["central", "harbour"] },
+        distanceKm: 19.2,
+        needsInterchange: true,
+        interchanges: [{ code: "DR", name: "Dadar" }],
+        legs: [
+          { line: "western", from: "CCG", to: "DDR", distanceKm: 10.2 },
+          { line: "central", from: "DR", to: "CSMT", distanceKm: 9 }
+        ]
+      });
+    });
+
+    test('Plain "Dadar" picks the side the trip needs', () => {
+      expect(resolveLocalRoute("Dadar", "Andheri").from.code).toBe("DDR");
+      expect(resolveLocalRoute("Dadar", "Thane").from.code).toBe("DR");
+      expect(resolveLocalRoute("Dadar", "Thane").needsInterchange).toBe(false);
+    });
+
+    test('Two interchanges from Western to Harbour', () => {
+      const route = resolveLocalRoute("Andheri", "Vashi");
+      expect(route.distanceKm).toBe(30.3);
+      expect(route.interchanges.map(stop => stop.code)).toEqual(["DR", "CLA"]);
+      expect(route.legs.map(leg => leg.line)).toEqual(["western", "central", "harbour"]);
+    });
+
+    test('Equal distance prefers fewer interchanges', () => {
+      const route = resolveLocalRoute("CSMT", "Chembur");
+      expect(route.needsInterchange).toBe(false);
+      expect(route.legs).toEqual([{ line: "harbour", from: "CSMT", to: "CMBR", distanceKm: 18.3 }]);
+    });
+
+    test('Same station has no legs', () => {
+      expect(resolveLocalRoute("Thane", "TNA")).toMatchObject({ distanceKm: 0, legs: [], needsInterchange: false });
+    });
+
+    test('Unknown station returns null', () => {
+      expect(resolveLocalRoute("Dadar", "Pune")).toBeNull();
+    });
+  });
+
+  describe('stationDistance', () => {
+    test('Shortest distance over the network', () => {
+      expect(stationDistance("Thane", "CSMT")).toBe(33.5);
+      expect(stationDistance("Churchgate", "Thane")).toBe(34.7);
+    });
+
+    test('Unknown station returns null', () => {
+      expect(stationDistance("Dadar", "Pune")).toBeNull();
+    });
+  });
+
+  test('Every station code sits on at least one line', () => {
+    Object.values(LOCAL_STATIONS).forEach(entry => expect(entry.lines.length).toBeGreaterThan(0));
+  });
+
+  test('Tables are frozen', () => {
+    expect(Object.isFrozen(LOCAL_LINES)).toBe(true);
+    expect(Object.isFrozen(LOCAL_LINES.western.stations[0])).toBe(true);
+    expect(Object.isFrozen(LOCAL_STATIONS.DR.lines)).toBe(true);
+  });
+});
@@ -8,7 +8,7 @@ describe('05 - Mumbai Local Train Pass (8 pts)', () => {
         name: "rahul sharma", from: "dadar", to: "andheri", classType: "first"
       });
       expect(result).toBe(
-        "MUMBAI LOCAL PASS\n---\nName: RAHUL SHARMA\nFrom: Dadar\nTo: Andheri\nClass: FIRST\nPass ID: FDADAND"
+        "MUMBAI LOCAL PASS\n---\nName: RAHUL SHARMA\nFrom: Dadar\nTo: Andheri\nClass: FIRST\nPass ID: F-DDR-ADH"
       );
     });
 
@@ -17,7 +17,7 @@ describe('05 - Mumbai Local Train Pass (8 pts)', () => {
         name: "priya patel", from: "cst", to: "thane", classType: "second"
       });
       expect(result).toBe(
-        "MUMBAI LOCAL PASS\n---\nName: PRIYA PATEL\nFrom: Cst\nTo: Thane\nClass: SECOND\nPass ID: SCSTTHA"
+        "MUMBAI LOCAL PASS\n---\nName: PRIYA PATEL\nFrom: CSMT\nTo: Thane\nClass: SECOND\nPass ID: S-CSMT-TNA"
       );
     });
 
@@ -26,7 +26,7 @@ describe('05 - Mumbai Local Train Pass (8 pts)', () => {
         name: "amit", from: "borivali", to: "churchgate", classType: "first"
       });
       expect(result).toContain("Name: AMIT");
-      expect(result).toContain("Pass ID: FBORCHU");
+      expect(result).toContain("Pass ID: F-BVI-CCG");
     });
   });
 
@@ -39,8 +39,8 @@ describe('05 - Mumbai Local Train Pass (8 pts)', () => {
     });
   });
 
-  describe('Station Title Case', () => {
-    test('From and To are in Title Case', () => {
+  describe('Station names', () => {
+    test('From and To use the official station name', () => {
       const result = generateLocalPass({
         name: "test", from: "DADAR", to: "andheri", classType: "first"
       });
@@ -50,18 +50,28 @@ describe('05 - Mumbai Local Train Pass (8 pts)', () => {
   });
 
   describe('Pass ID generation', () => {
-    test('Pass ID uses first char of classType + first 3 of from + first 3 of to', () => {
+    test('Pass ID uses first char of classType + from code + to code', () => {
       const result = generateLocalPass({
-        name: "test", from: "mumbai", to: "pune", classType: "second"
+        name: "test", from: "virar", to: "kalyan", classType: "second"
       });
-      expect(result).toContain("Pass ID: SMUMPUN");
+      expect(result).toContain("Pass ID: S-VR-KYN");
+    });
+
+    test('Stations sharing a prefix get different IDs', () => {
+      const western = generateLocalPass({ name: "test", from: "dadar", to: "andheri", classType: "first" });
+      const central = generateLocalPass({ name: "test", from: "dadar", to: "thane", classType: "first" });
+      const explicit = generateLocalPass({ name: "test", from: "Dadar (Central)", to: "andheri", classType: "first" });
+      expect(western).toContain("Pass ID: F-DDR-ADH");
+      expect(central).toContain("Pass ID: F-DR-TNA");
+      expect(explicit).toContain("Pass ID: F-DR-ADH");
+      expect(explicit).not.toContain("Via:");
     });
 
     test('Pass ID letters are all uppercase', () => {
       const result = generateLocalPass({
         name: "test", from: "dadar", to: "andheri", classType: "first"
       });
-      expect(result).toContain("Pass ID: FDADAND");
+      expect(result).toContain("Pass ID: F-DDR-ADH");
     });
   });
 
@@ -132,4 +142,67 @@ describe('05 - Mumbai Local Train Pass (8 pts)', () => {
       expect(generateLocalPass(undefined)).toBe("INVALID PASS");
     });
   });
+
+  describe('Season ticket fare', () => {
+    test('Monthly pass adds fare and validity', () => {
+      const result = generateLocalPass({
+        name: "rahul sharma", from: "churchgate", to: "borivali", classType: "second",
+        period: "monthly", startDate: "2026-10-18"
+      });
+      expect(result).toBe(
+        "MUMBAI LOCAL PASS\n---\nName: RAHUL SHARMA\nFrom: Churchgate\nTo: Borivali\nClass: SECOND\n" +
+        "Pass ID: S-CCG-BVI\nFare: Rs 300 (MONTHLY)\nValid: 18/10/2026 to 17/11/2026"
+      );
+    });
+
+    test('Quarterly AC pass', () => {
+      const result = generateLocalPass({
+        name: "test", from: "churchgate", to: "andheri", classType: "first",
+        period: "Quarterly", ac: true, startDate: "2026-10-18"
+      });
+      expect(result).toContain("Fare: Rs 3800 (QUARTERLY, AC)");
+      expect(result).toContain("Valid: 18/10/2026 to 17/01/2027");
+    });
+
+    test('Invalid season details return INVALID PASS', () => {
+      const base = { name: "test", from: "dadar", to: "thane", classType: "first" };
+      expect(generateLocalPass({ ...base, period: "weekly" })).toBe("INVALID PASS");
+      expect(generateLocalPass({ ...base, period: "monthly", ac: "yes" })).toBe("INVALID PASS");
+      expect(generateLocalPass({ ...base, period: "monthly", startDate: "2026-13-01" })).toBe("INVALID PASS");
+      expect(generateLocalPass({ ...base, to: "pune", period: "monthly" })).toBe("INVALID PASS");
+    });
+  });
+
+  describe('Station registry', () => {
+    test('Misspelled and old station names are recognised', () => {
+      const result = generateLocalPass({ name: "test", from: "borivli", to: "VT", classType: "second" });
+      expect(result).toContain("From: Borivali");
+      expect(result).toContain("To: CSMT");
+    });
+
+    test('Trips that change lines show the interchange', () => {
+      const result = generateLocalPass({ name: "test", from: "churchgate", to: "cst", classType: "second" });
+      expect(result.split("\n")).toHaveLength(8);
+      expect(result).toContain("Pass ID: S-CCG-CSMT\nVia: Dadar");
+    });
+
+    test('Unknown stations return INVALID PASS', () => {
+      expect(generateLocalPass({ name: "test", from: "mumbai", to: "pune", classType: "second" }))
+        .toBe("INVALID PASS");
+      expect(generateLocalPass({ name: "test", from: "dadar", to: "andheri east", classType: "first" }))
+        .toBe("INVALID PASS");
+    });
+
+    test('Stations beyond the network are not read as look-alikes', () => {
+      expect(generateLocalPass({ name: "test", from: "Badlapur", to: "Thane", classType: "first" }))
+        .toBe("INVALID PASS");
+      expect(generateLocalPass({ name: "test", from: "Neral", to: "Kalyan", classType: "second" }))
+        .toBe("INVALID PASS");
+    });
+
+    test('Same station both ways returns INVALID PASS', () => {
+      expect(generateLocalPass({ name: "test", from: "thane", to: "TNA", classType: "first" }))
+        .toBe("INVALID PASS");
+    });
+  });
 });